@@ -1,51 +1,561 @@
 // ── Config ────────────────────────────────────────────────────────────────────
 
-// Two simple layout choices — each generates BOTH output formats below
+// Layouts are split trees: row() places its children side by side, col()
+// stacks them top to bottom, and PANEL is one photo slot. Panels are numbered
+// depth-first, so "Photo 1" is always the first leaf. Each layout generates
+// every enabled output format below.
+const PANEL = null;
+
 const LAYOUTS = [
-  { id: "1-way", name: "Single Photo", photoCount: 1 },
-  { id: "2-way", name: "2-Way Split", photoCount: 2 },
-  { id: "3-way", name: "3-Way Split", photoCount: 3 },
+  { id: "1-way",  name: "Single Photo", split: PANEL },
+  { id: "2-way",  name: "2-Way Split",  split: row(PANEL, PANEL) },
+  { id: "3-way",  name: "3-Way Split",  split: row(PANEL, PANEL, PANEL) },
+  { id: "stack",  name: "Top / Bottom", split: col(PANEL, PANEL) },
+  { id: "grid-4", name: "2×2 Grid",     split: col(row(PANEL, PANEL), row(PANEL, PANEL)) },
+  { id: "hero-3", name: "Hero + Two",   split: row(PANEL, col(PANEL, PANEL)) },
+].map((layout) => ({ ...layout, photoCount: countPanels(layout.split) }));
+
+// Default output formats. Users can add, rename, toggle and remove formats in
+// the format manager; the edited list is saved to localStorage between sessions.
+const DEFAULT_FORMATS = [
+  { id: "2x1", label: "2×1", width: 2000, height: 1000, suffix: "2x1", enabled: true },
+  { id: "4x3", label: "4×3", width: 2000, height: 1500, suffix: "4x3", enabled: true },
+];
+
+// Quick-add choices offered by the format manager
+const FORMAT_PRESETS = [
+  { label: "1×1",  width: 2000, height: 2000, suffix: "1x1" },
+  { label: "4×5",  width: 1600, height: 2000, suffix: "4x5" },
+  { label: "9×16", width: 1125, height: 2000, suffix: "9x16" },
+  { label: "16×9", width: 2000, height: 1125, suffix: "16x9" },
+];
+
+// Encodings offered per output format. Browsers that can't encode a type
+// (canvas falls back to PNG) have it disabled in the picker.
+const EXPORT_TYPES = [
+  { type: "image/jpeg", label: "JPEG", ext: "jpg",  lossy: true },
+  { type: "image/png",  label: "PNG",  ext: "png",  lossy: false },
+  { type: "image/webp", label: "WebP", ext: "webp", lossy: true },
+  { type: "image/avif", label: "AVIF", ext: "avif", lossy: true },
+];
+const DEFAULT_EXPORT = { exportType: "image/jpeg", quality: 0.92, maxKB: null };
+const MIN_EXPORT_QUALITY = 0.05;
+
+// Download details edited per composite. Caption and copyright stay null until
+// edited (they're derived from the photos); a null slug means the default
+// "composite-<layout>" file name.
+const DEFAULT_EXPORT_META = { caption: null, copyright: null, altText: "", slug: null };
+
+// Effective resolution is the source pixels behind each output pixel at a
+// panel's render scale (1 = one to one; 0.5 = each source pixel blown up to
+// two). Panels below RESOLUTION_WARN get a warning badge; downloads ask for
+// confirmation below the user's threshold, remembered between sessions.
+const RESOLUTION_WARN = 0.9;
+const DEFAULT_MIN_EXPORT_RESOLUTION = 0.6;
+const MIN_EXPORT_RESOLUTION_STORAGE_KEY = "photo-compositor.min-export-resolution";
+
+// Two photos whose 64-bit difference hashes differ in at most this many bits
+// are treated as the same picture (re-saves, resizes and light edits included)
+const DUPLICATE_MAX_BITS = 6;
+
+// dataTransfer types for dragging a slot's thumbnail or an alternate onto a zone
+const SLOT_DRAG_TYPE      = "application/x-compositor-slot";
+const ALTERNATE_DRAG_TYPE = "application/x-compositor-alternate";
+
+const FORMATS_STORAGE_KEY = "photo-compositor.formats";
+const FORMAT_MIN_PX = 100;
+const FORMAT_MAX_PX = 8000;
+
+// Divider style between panels. A feathered divider crossfades neighbouring
+// photos over `feather` px instead of drawing a gap; `angle` (degrees) tilts
+// every divider clockwise for diagonal splits.
+const DEFAULT_DIVIDER = { width: 12, color: "#ffffff", angle: 0, feather: 0 };
+
+// Quick picks in the divider style bar
+const DIVIDER_PRESETS = [
+  { name: "White bar",  width: 12, color: "#ffffff", angle: 0,  feather: 0 },
+  { name: "Thin black", width: 4,  color: "#000000", angle: 0,  feather: 0 },
+  { name: "Brand",      width: 16, color: "#002aff", angle: 0,  feather: 0 },
+  { name: "None",       width: 0,  color: "#ffffff", angle: 0,  feather: 0 },
+  { name: "Angled",     width: 12, color: "#ffffff", angle: 12, feather: 0 },
+  { name: "Feathered",  width: 0,  color: "#ffffff", angle: 0,  feather: 120 },
+];
+
+// Per-panel adjustment defaults — also fills fields missing from older
+// sessions and project files. Rotation is in degrees.
+const DEFAULT_ADJUSTMENT = {
+  panX: 0, panY: 0, scale: 1.0, rotation: 0,
+};
+
+// Per-photo adjustments, shared by every format. Tone fields run from -100
+// to 100.
+const DEFAULT_PHOTO_ADJUSTMENT = {
+  flipX: false, flipY: false,
+  brightness: 0, contrast: 0, saturation: 0, warmth: 0, highlights: 0, shadows: 0,
+};
+
+// Panel zoom range (multiples of the cover-fit scale). The ceiling is picked
+// from ZOOM_CEILINGS and remembered between sessions. Wheel zoom multiplies
+// the scale by exp(-deltaY × WHEEL_ZOOM_SPEED).
+const MIN_ZOOM = 1;
+const DEFAULT_MAX_ZOOM = 3;
+const ZOOM_CEILINGS = [3, 5, 8, 12, 20];
+const MAX_ZOOM_STORAGE_KEY = "photo-compositor.max-zoom";
+const WHEEL_ZOOM_SPEED = 0.002;
+const WHEEL_COMMIT_DELAY_MS = 400;
+
+// Keyboard editing of a focused panel: arrow keys nudge the pan by NUDGE_PX
+// canvas pixels (NUDGE_PX_LARGE with Shift), +/− zoom by ZOOM_STEP.
+const NUDGE_PX       = 10;
+const NUDGE_PX_LARGE = 50;
+const ZOOM_STEP      = 0.1;
+const ROTATE_STEP    = 1;
+const ROTATE_STEP_LARGE = 15;
+
+// Listed in the shortcut cheat-sheet, in display order
+const KEYBOARD_SHORTCUTS = [
+  ["Tab / Shift+Tab",      "Move between panels"],
+  ["← ↑ → ↓",              "Nudge the photo (hold Shift for bigger steps)"],
+  ["+ / −",                "Zoom in / out"],
+  ["[ / ]",                "Rotate (hold Shift for bigger steps)"],
+  ["H / V",                "Flip horizontally / vertically"],
+  ["Alt + arrow",          "Swap with the neighbouring photo"],
+  ["R",                    "Reset position and zoom"],
+  ["Ctrl/⌘ + Z",           "Undo"],
+  ["Shift + Ctrl/⌘ + Z",   "Redo"],
+  ["?",                    "Show or hide these shortcuts"],
 ];
 
-// Both formats are always generated
-const OUTPUT_FORMATS = [
-  { label: "2×1", width: 2000, height: 1000, suffix: "2x1" },
-  { label: "4×3", width: 2000, height: 1500, suffix: "4x3" },
+// Tone sliders on each adj-card, in display order
+const TONE_CONTROLS = [
+  { key: "brightness", label: "Brightness" },
+  { key: "contrast",   label: "Contrast" },
+  { key: "saturation", label: "Saturation" },
+  { key: "warmth",     label: "Warmth" },
+  { key: "highlights", label: "Highlights" },
+  { key: "shadows",    label: "Shadows" },
 ];
 
-const DIVIDER = { width: 12, color: "#ffffff" };
+// How compose() lines panels up within each band. `line` is where the anchor
+// lands as a fraction of panel height — it's only a preference unless
+// lockLine is set, since not every photo can reach it without uncovering an
+// edge. Centre always uses the middle; off leaves every panel centre-cropped.
+const ALIGN_STRATEGIES = [
+  { id: "eyes",   label: "Match eye line",    line: 0.38 },
+  { id: "head",   label: "Match top of head", line: 0.12 },
+  { id: "centre", label: "Centre subjects",   line: 0.5 },
+  { id: "off",    label: "Off",               line: null },
+];
+const DEFAULT_ALIGNMENT = { strategy: "eyes", equaliseSize: true, line: 0.38, lockLine: false };
+const ALIGN_LINE_MIN = 0.05;
+const ALIGN_LINE_MAX = 0.95;
+
+// Face detection boxes start around the brow; the top of the head sits
+// roughly this fraction of the box height above it
+const HEAD_ABOVE_BOX = 0.35;
+
+// Tone harmonising matches each photo's per-channel histogram to a reference
+// photo; `strength` (0–1 per photo) blends between the original and the match.
+const DEFAULT_HARMONISE = { reference: 0, strength: [] };
+
+// Longest side of the downscaled copy used to build tone histograms
+const TONE_SAMPLE_PX = 256;
+
+// Longest side of the photo shown in an upload zone
+const ZONE_THUMBNAIL_PX = 480;
+
+// Photos without a face are framed on their salient subject (see
+// image-analysis.js) when it's found with at least this confidence; below it
+// the photo stays centred
+const SUBJECT_MIN_CONFIDENCE = 0.3;
+
+// Divider dragging snaps to these fractions of the parent split when within
+// SNAP_DISTANCE; no panel may shrink below MIN_SPLIT_RATIO of its split.
+const SNAP_POINTS     = [1/3, 1/2, 2/3];
+const SNAP_DISTANCE   = 0.015;
+const MIN_SPLIT_RATIO = 0.1;
+
+// Arrow glyphs for the swap buttons on the canvas overlay, by direction
+const SWAP_ARROW_PATHS = {
+  left:  '<line x1="19" y1="12" x2="5" y2="12"/><polyline points="12,19 5,12 12,5"/>',
+  right: '<line x1="5" y1="12" x2="19" y2="12"/><polyline points="12,5 19,12 12,19"/>',
+  up:    '<line x1="12" y1="19" x2="12" y2="5"/><polyline points="5,12 12,5 19,12"/>',
+  down:  '<line x1="12" y1="5" x2="12" y2="19"/><polyline points="19,12 12,19 5,12"/>',
+};
 
 // ── State ─────────────────────────────────────────────────────────────────────
 
 const state = {
   selectedLayout: null,
-  images: [],       // [{ file, dataURL }]
-  focalPoints: [],  // [{ x, y, faceFound }]
-  imageEls: [],     // [HTMLImageElement] — loaded once, reused for re-renders
-  adjustments: [],  // [formatIndex][panelIndex] = { panX, panY, scale } — independent per format
-  targetFocalY: 0.5,
+  formats: loadFormats(),  // [{ id, label, width, height, suffix, enabled }] — edited in the format manager
+  outputFormats: [],       // enabled formats at compose time — one canvas entry each
+  images: [],       // [{ file, blob, thumbnail, qualityWarning, meta, hash, proxy }] — blob is the upright original; meta from readPhotoMeta(); hash and proxy from analyseImage()
+  alternates: [],   // [{ file, url }] — extra photos from a multi-file drop, waiting to be swapped in
+  focalPoints: [],  // [{ x, y, faceH?, eyeDist?, tilt?, faceFound, source: "auto" | "face" | "manual", faces, subject }]
+  credits: [],      // [string] — credit line per photo, in panel order
+  exportMeta: { ...DEFAULT_EXPORT_META },
+  imageEls: [],     // [HTMLImageElement] — full-resolution originals, drawn only for export (previews use images[i].proxy)
+  adjustments: [],  // [formatIndex][panelIndex] = { panX, panY, scale, rotation } — independent per format
+  photoAdjustments: [], // [panelIndex] = { flipX, flipY, ...tone } — follows the photo into every format
+  targetFocalY: 0.5, // where auto-framed focal points sit, as a fraction of panel height
   composited: false,
-  canvasEls: [],    // one HTMLCanvasElement per OUTPUT_FORMAT
-  drag: null,       // { formatIndex, panelIndex, startMouseX, startMouseY, startPanX, startPanY }
+  canvasEls: [],    // one HTMLCanvasElement per entry in outputFormats
+  drag: null,       // { canvas, formatIndex, panelIndex, pointers: Map(pointerId → { x, y }) } — pan and pinch
+  dividerDrag: null, // { canvas, formatIndex, split, boundary, pointerId } while a divider handle is dragged
+  history: { past: [], future: [] }, // edit snapshots for undo / redo (see captureEdits)
+  pendingEdit: null, // snapshot taken when a gesture starts, pushed to history when it ends
+  sessionId: null,   // IndexedDB key of the autosaved session being edited
   showGrid: false,
+  guideDrag: null,  // { canvas, formatIndex, band, pointerId } while the alignment guide is dragged
+  batch: null,      // { name, rows, open, busy } while working through a batch (see startBatch)
+  linkFormats: false, // carry framing edits on one canvas to the other formats
+  maxZoom: loadMaxZoom(), // zoom slider ceiling, one of ZOOM_CEILINGS
+  minExportResolution: loadMinExportResolution(), // confirm downloads below this effective resolution
+  showOriginal: false, // before/after toggle — previews without harmonising
+  divider: { ...DEFAULT_DIVIDER },
+  alignment: { ...DEFAULT_ALIGNMENT },
+  harmonise: { ...DEFAULT_HARMONISE },
 };
 
 // ── DOM refs ──────────────────────────────────────────────────────────────────
 
 const presetGrid        = document.getElementById("preset-grid");
+const formatManagerEl   = document.getElementById("format-manager");
 const uploadZonesEl     = document.getElementById("upload-zones");
 const uploadHint        = document.getElementById("upload-hint");
 const btnCompose        = document.getElementById("btn-compose");
 const btnDownload       = document.getElementById("btn-download");
 const btnReset          = document.getElementById("btn-reset");
+const btnUndo           = document.getElementById("btn-undo");
+const btnRedo           = document.getElementById("btn-redo");
+const restoreBanner     = document.getElementById("restore-banner");
+const restoreBannerText = document.getElementById("restore-banner-text");
+const btnRestore        = document.getElementById("btn-restore");
+const btnRestoreDismiss = document.getElementById("btn-restore-dismiss");
+const noticeBanner      = document.getElementById("notice-banner");
+const noticeText        = document.getElementById("notice-text");
+const btnNoticeAction   = document.getElementById("btn-notice-action");
+const btnNoticeDismiss  = document.getElementById("btn-notice-dismiss");
+const recentSessionsEl  = document.getElementById("recent-sessions");
+const recentListEl      = document.getElementById("recent-list");
+const btnSaveProject    = document.getElementById("btn-save-project");
+const btnOpenProject    = document.getElementById("btn-open-project");
+const projectInput      = document.getElementById("project-input");
+const btnOpenBatch      = document.getElementById("btn-open-batch");
+const batchInput        = document.getElementById("batch-input");
+const batchReviewEl     = document.getElementById("batch-review");
+const batchStatusEl     = document.getElementById("batch-status");
+const batchGridEl       = document.getElementById("batch-grid");
+const btnBatchDownload  = document.getElementById("btn-batch-download");
+const btnBatchClose     = document.getElementById("btn-batch-close");
 const canvasArea        = document.getElementById("canvas-area");
 const canvasPlaceholder = document.getElementById("canvas-placeholder");
 const canvasLoading     = document.getElementById("canvas-loading");
 const creditReminder    = document.getElementById("credit-reminder");
 const creditPattern     = document.getElementById("credit-reminder-pattern");
+const creditFieldsEl    = document.getElementById("credit-fields");
+const metaCaption       = document.getElementById("meta-caption");
+const metaCopyright     = document.getElementById("meta-copyright");
+const metaAltText       = document.getElementById("meta-alt-text");
+const exportSlugInput   = document.getElementById("export-slug");
+const alternatesEl      = document.getElementById("upload-alternates");
+const alternatesList    = document.getElementById("alternates-list");
+const minResolutionInput = document.getElementById("min-export-resolution");
+const dividerControls   = document.getElementById("divider-controls");
+const dividerPresetsEl  = document.getElementById("divider-presets");
+const dividerWidth      = document.getElementById("divider-width");
+const dividerColor      = document.getElementById("divider-color");
+const dividerAngle      = document.getElementById("divider-angle");
+const dividerFeather    = document.getElementById("divider-feather");
+const btnShortcuts      = document.getElementById("btn-shortcuts");
+const shortcutSheet     = document.getElementById("shortcut-sheet");
+const shortcutList      = document.getElementById("shortcut-list");
+const btnShortcutsClose = document.getElementById("btn-shortcuts-close");
+const srStatus          = document.getElementById("sr-status");
+const toneControls      = document.getElementById("tone-controls");
+const alignControls     = document.getElementById("align-controls");
+const alignStrategy     = document.getElementById("align-strategy");
+const alignEqualise     = document.getElementById("align-equalise");
+const alignLockLine     = document.getElementById("align-lock-line");
+const alignLine         = document.getElementById("align-line");
+const toneReference     = document.getElementById("tone-reference");
+const toneStrengthsEl   = document.getElementById("tone-strengths");
+const btnToneCompare    = document.getElementById("btn-tone-compare");
 // (per-canvas adjustment controls are built and injected by buildAdjControls())
 
-// ── Image quality checks ───────────────────────────────────────────────────────
+// ── Layout model ──────────────────────────────────────────────────────────────
+
+function row(...children) { return { dir: "row", children }; }
+function col(...children) { return { dir: "col", children }; }
+
+function countPanels(node) {
+  return node ? node.children.reduce((n, child) => n + countPanels(child), 0) : 1;
+}
+
+// Resolve a layout into panel regions for one output size.
+// ratios[splitIndex] optionally holds each split's child fractions (summing
+// to 1); splits are numbered depth-first and default to equal shares.
+//
+// Each divider is a line through the centre of its gap, tilted by the divider
+// angle. A slot is the canvas clipped by the dividers around it:
+//   { x, y, w, h }  bounding box of the region — the image covers this
+//   cell            nominal axis-aligned rectangle, for overlays and neighbours
+//   edges           [{ cx, cy, nx, ny, side }] — the slot lies where
+//                   side * n·(p - c) >= inset (see getDividerInset)
+//   poly            clip polygon, [[x, y], …]
+// Dividers: { x, y, w, h, cx, cy, nx, ny, split, boundary, dir, start, extent }
+// where start/extent describe the parent split along its axis, for dragging.
+// The last child of a split takes any remaining pixels to avoid sub-pixel gaps.
+function getLayoutSlots(layout, width, height, ratios = [], divider = state.divider) {
+  const gap   = getDividerGap(divider);
+  const inset = getDividerInset(divider);
+  const theta = (divider.angle * Math.PI) / 180;
+  const slots = [];
+  const dividers = [];
+  let splitCount = 0;
+
+  const place = (node, x, y, w, h, edges) => {
+    if (!node) {
+      const canvasRect = [[0, 0], [width, 0], [width, height], [0, height]];
+      const poly = edges.reduce((pts, e) => clipPolygon(pts, e, inset), canvasRect);
+      slots.push({ ...polygonBounds(poly, width, height), cell: { x, y, w, h }, edges, poly });
+      return;
+    }
+    const split = splitCount++;
+    const n = node.children.length;
+    const isRow = node.dir === "row";
+    const start = isRow ? x : y;
+    const extent = isRow ? w : h;
+    const available = extent - gap * (n - 1);
+    const fractions = ratios[split] ?? equalRatios(n);
+    // Normal of this split's dividers: the axis rotated clockwise by the angle
+    const [nx, ny] = isRow ? [Math.cos(theta), Math.sin(theta)] : [-Math.sin(theta), Math.cos(theta)];
+    let cursor = 0;
+    let prevEdge = null;
+    node.children.forEach((child, ci) => {
+      if (ci > 0) {
+        const rect = isRow ? { x: x + cursor, y, w: gap, h } : { x, y: y + cursor, w, h: gap };
+        const cx = rect.x + rect.w / 2;
+        const cy = rect.y + rect.h / 2;
+        dividers.push({ ...rect, cx, cy, nx, ny, split, boundary: ci - 1, dir: node.dir, start, extent });
+        prevEdge = { cx, cy, nx, ny };
+        cursor += gap;
+      }
+      const childSize = ci === n - 1 ? extent - cursor : Math.floor(available * fractions[ci]);
+      const childEdges = edges.slice();
+      if (prevEdge) childEdges.push({ ...prevEdge, side: 1 });
+      if (ci < n - 1) {
+        // The divider after this child sits half a gap past its far edge
+        const far = cursor + childSize + gap / 2;
+        childEdges.push(isRow
+          ? { cx: x + far, cy: y + h / 2, nx, ny, side: -1 }
+          : { cx: x + w / 2, cy: y + far, nx, ny, side: -1 });
+      }
+      if (isRow) place(child, x + cursor, y, childSize, h, childEdges);
+      else       place(child, x, y + cursor, w, childSize, childEdges);
+      cursor += childSize;
+    });
+  };
+
+  place(layout.split, 0, 0, width, height, []);
+  return { slots, dividers };
+}
+
+// Width of the gap drawn between panels — feathered dividers have none
+function getDividerGap(divider = state.divider) {
+  return divider.feather > 0 ? 0 : divider.width;
+}
+
+// How far inside its divider line each slot's region starts. Solid dividers
+// leave half the gap on either side; feathered ones overlap both neighbours
+// by half the feather so the later panel can fade in over the earlier one.
+function getDividerInset(divider = state.divider) {
+  return divider.feather > 0 ? -divider.feather / 2 : divider.width / 2;
+}
+
+// Sutherland–Hodgman step: keep the part of a convex polygon where
+// side * n·(p - c) >= inset
+function clipPolygon(points, edge, inset) {
+  const dist = ([px, py]) => edge.side * (edge.nx * (px - edge.cx) + edge.ny * (py - edge.cy)) - inset;
+  const out = [];
+  points.forEach((p, k) => {
+    const q  = points[(k + 1) % points.length];
+    const dp = dist(p);
+    const dq = dist(q);
+    if (dp >= 0) out.push(p);
+    if ((dp >= 0) !== (dq >= 0)) {
+      const t = dp / (dp - dq);
+      out.push([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t]);
+    }
+  });
+  return out;
+}
+
+function polygonBounds(poly, width, height) {
+  if (!poly.length) return { x: 0, y: 0, w: 1, h: 1 };
+  const xs = poly.map((p) => p[0]);
+  const ys = poly.map((p) => p[1]);
+  const x = Math.max(0, Math.floor(Math.min(...xs)));
+  const y = Math.max(0, Math.floor(Math.min(...ys)));
+  return {
+    x, y,
+    w: Math.max(1, Math.min(width,  Math.ceil(Math.max(...xs))) - x),
+    h: Math.max(1, Math.min(height, Math.ceil(Math.max(...ys))) - y),
+  };
+}
+
+function isPointInSlot(slot, px, py) {
+  const inset = getDividerInset();
+  return px >= slot.x && px < slot.x + slot.w && py >= slot.y && py < slot.y + slot.h &&
+    slot.edges.every((e) => e.side * (e.nx * (px - e.cx) + e.ny * (py - e.cy)) >= inset);
+}
+
+function equalRatios(n) {
+  return Array.from({ length: n }, () => 1 / n);
+}
+
+// Splits in depth-first order with the range of panels each one contains —
+// used to label the ratio fields.
+function getLayoutSplits(layout) {
+  const splits = [];
+  let panel = 0;
+  const walk = (node) => {
+    if (!node) { panel++; return; }
+    const entry = { dir: node.dir, count: node.children.length, first: panel, last: panel };
+    splits.push(entry);
+    node.children.forEach(walk);
+    entry.last = panel - 1;
+  };
+  walk(layout.split);
+  return splits;
+}
+
+function getFormatLayout(fmt) {
+  return getLayoutSlots(state.selectedLayout, fmt.width, fmt.height, fmt.splitRatios);
+}
+
+function getFormatSlots(fmt) {
+  return getFormatLayout(fmt).slots;
+}
+
+// Neighbouring panel in a direction ("left" | "right" | "up" | "down"), or -1.
+// A neighbour's cell shares the edge across the divider and overlaps along it.
+function getNeighbourSlot(slots, index, dir) {
+  const a = slots[index].cell;
+  const gap = getDividerGap();
+  const touches = ({ cell: b }) => {
+    switch (dir) {
+      case "left":  return b.x + b.w + gap === a.x && b.y < a.y + a.h && a.y < b.y + b.h;
+      case "right": return a.x + a.w + gap === b.x && b.y < a.y + a.h && a.y < b.y + b.h;
+      case "up":    return b.y + b.h + gap === a.y && b.x < a.x + a.w && a.x < b.x + b.w;
+      case "down":  return a.y + a.h + gap === b.y && b.x < a.x + a.w && a.x < b.x + b.w;
+    }
+    return false;
+  };
+  return slots.findIndex((b, i) => i !== index && touches(b));
+}
+
+// Panels whose slots share the same vertical band — eye lines are aligned
+// within each band, so a 2×2 grid aligns its top and bottom rows separately.
+function groupSlotsByBand(slots) {
+  const bands = new Map();
+  slots.forEach((s, i) => {
+    const key = `${s.y}:${s.h}`;
+    if (!bands.has(key)) bands.set(key, []);
+    bands.get(key).push(i);
+  });
+  return [...bands.values()];
+}
+
+// ── Render worker ─────────────────────────────────────────────────────────────
+
+// Decoding, analysis and export encoding run in render-worker.js where the
+// browser has workers with OffscreenCanvas; renderWorker is null until first
+// use and false once it's known to be unavailable, after which everything
+// runs here on the main thread instead.
+let renderWorker = null;
+let workerJobId  = 0;
+const workerJobs = new Map();
+
+function getRenderWorker() {
+  if (renderWorker !== null) return renderWorker || null;
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") {
+    renderWorker = false;
+    return null;
+  }
+  try {
+    renderWorker = new Worker("render-worker.js");
+  } catch (e) {
+    console.warn("Render worker unavailable, working on the main thread:", e);
+    renderWorker = false;
+    return null;
+  }
+  renderWorker.addEventListener("message", ({ data }) => {
+    const pending = workerJobs.get(data.id);
+    if (!pending) return;
+    workerJobs.delete(data.id);
+    if (data.error) pending.reject(new Error(data.error));
+    else pending.resolve(data.result);
+  });
+  renderWorker.addEventListener("error", (e) => {
+    console.warn("Render worker failed, working on the main thread:", e.message);
+    renderWorker.terminate();
+    renderWorker = false;
+    workerJobs.forEach(({ reject }) => reject(new Error("Render worker failed")));
+    workerJobs.clear();
+  });
+  return renderWorker;
+}
+
+// Resolves with the worker's result, or rejects if there's no worker or the
+// job failed — callers then do the same work on the main thread
+function runInWorker(job, args, transfer = []) {
+  const worker = getRenderWorker();
+  if (!worker) return Promise.reject(new Error("Render worker unavailable"));
+  return new Promise((resolve, reject) => {
+    const id = ++workerJobId;
+    workerJobs.set(id, { resolve, reject });
+    worker.postMessage({ id, job, ...args }, transfer);
+  });
+}
+
+const makeCanvas = (width, height) => Object.assign(document.createElement("canvas"), { width, height });
+
+// ── Image analysis ────────────────────────────────────────────────────────────
+
+// Decode a photo once, shrink it to a preview proxy and measure it. Resolves
+// to { width, height, proxy, sharpness, hash, subject } where width and height
+// are the original's and proxy is an ImageBitmap (or canvas) at most
+// PROXY_MAX_PX on its longest side. A photo that can't be decoded resolves with
+// zero size, no proxy and nothing measured. `blob` is the upright image.
+async function analyseImage(blob) {
+  if (getRenderWorker()) {
+    try {
+      return await runInWorker("analyse", { blob });
+    } catch (e) {
+      console.warn("Analysing on the main thread:", e);
+    }
+  }
+  const img = new Image();
+  img.src = URL.createObjectURL(blob);
+  try { await img.decode(); } catch {
+    return { width: 0, height: 0, proxy: null, sharpness: Infinity, hash: null, subject: null };
+  } finally {
+    URL.revokeObjectURL(img.src);
+  }
+  const { width, height } = getProxySize(img.naturalWidth, img.naturalHeight);
+  const proxy = makeCanvas(width, height);
+  proxy.getContext("2d").drawImage(img, 0, 0, width, height);
+  return { width: img.naturalWidth, height: img.naturalHeight, proxy, ...analysePixels(proxy, makeCanvas) };
+}
+
+// The upload zone shows a small copy of the proxy, not the original
+function makeZoneThumbnail(proxy, type) {
+  const { width, height } = getProxySize(proxy.width, proxy.height, ZONE_THUMBNAIL_PX);
+  const canvas = makeCanvas(width, height);
+  canvas.getContext("2d").drawImage(proxy, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL(getUprightType(type), 0.85);
+}
 
 function getImageSize(dataURL) {
   return new Promise((resolve) => {
@@ -56,45 +566,129 @@ function getImageSize(dataURL) {
   });
 }
 
-// Laplacian variance — measures how much edge/detail is present.
-// Sharp photos score high; blurry or heavily compressed ones score low.
-function measureSharpness(dataURL) {
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const SIZE = 150;
-      const c = document.createElement("canvas");
-      c.width = c.height = SIZE;
-      const ctx = c.getContext("2d", { willReadFrequently: true });
-      ctx.drawImage(img, 0, 0, SIZE, SIZE);
-      const { data } = ctx.getImageData(0, 0, SIZE, SIZE);
-
-      // Convert to grayscale
-      const gray = new Float32Array(SIZE * SIZE);
-      for (let i = 0; i < SIZE * SIZE; i++) {
-        const j = i * 4;
-        gray[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
-      }
+// ── Photo metadata ────────────────────────────────────────────────────────────
 
-      // Laplacian variance
-      let sum = 0, sumSq = 0, n = 0;
-      for (let y = 1; y < SIZE - 1; y++) {
-        for (let x = 1; x < SIZE - 1; x++) {
-          const i = y * SIZE + x;
-          const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - SIZE] - gray[i + SIZE];
-          sum += lap; sumSq += lap * lap; n++;
-        }
-      }
-      resolve(sumSq / n - (sum / n) ** 2);
-    };
-    img.onerror = () => resolve(Infinity); // can't measure — assume ok
-    img.src = dataURL;
+// EXIF, IPTC and XMP are read with exifr (loaded from the CDN alongside
+// face-api). Without it, photos still load — just without credits or
+// orientation fixes.
+async function readPhotoMeta(file) {
+  if (typeof exifr === "undefined") return { orientation: 1 };
+  let tags;
+  try {
+    tags = await exifr.parse(file, {
+      tiff: true, exif: true, iptc: true, xmp: true,
+      mergeOutput: false, translateValues: false,
+    });
+  } catch (e) {
+    console.warn("Could not read photo metadata:", e);
+  }
+  if (!tags) return { orientation: 1 };
+
+  const { ifd0 = {}, exif = {}, iptc = {}, dc = {}, photoshop = {} } = tags;
+  const text = (...values) => {
+    for (const v of values) {
+      const value = Array.isArray(v) ? v[0] : v?.value ?? v;
+      if (typeof value === "string" && value.trim()) return fixMojibake(value.trim());
+    }
+    return null;
+  };
+
+  const photographer = text(iptc.Byline, dc.creator, ifd0.Artist);
+  const agency       = text(iptc.Credit, photoshop.Credit, iptc.Source, photoshop.Source);
+  const taken        = new Date(exif.DateTimeOriginal ?? exif.CreateDate ?? ifd0.ModifyDate ?? NaN);
+  const make = text(ifd0.Make), model = text(ifd0.Model);
+
+  return {
+    photographer,
+    agency,
+    credit:     formatCredit(photographer, agency),
+    caption:    text(iptc.Caption, dc.description),
+    copyright:  text(iptc.CopyrightNotice, dc.rights, ifd0.Copyright),
+    capturedAt: isNaN(taken) ? null : taken.toISOString(),
+    camera:     model && make && !model.toLowerCase().startsWith(make.toLowerCase().split(" ")[0])
+                  ? `${make} ${model}` : model ?? make,
+    orientation: Number(ifd0.Orientation) || 1,
+  };
+}
+
+// IPTC text without a declared character set is decoded as Latin-1, which
+// turns UTF-8 bylines like "José" into "JosÃ©"
+function fixMojibake(text) {
+  if (!/[\u00c2-\u00f4][\u0080-\u00bf]/.test(text)) return text;
+  try {
+    return new TextDecoder("utf-8", { fatal: true })
+      .decode(Uint8Array.from(text, (c) => c.charCodeAt(0)));
+  } catch {
+    return text;
+  }
+}
+
+// "[Photographer]/[Agency]" for wire images, "[Photographer]" or "Courtesy of
+// [Source]" for supplied ones — as the credit reminder asks
+function formatCredit(photographer, agency) {
+  if (photographer && agency) {
+    return photographer.toLowerCase().includes(agency.toLowerCase()) ? photographer : `${photographer}/${agency}`;
+  }
+  if (photographer) return photographer;
+  if (agency) return `Courtesy of ${agency}`;
+  return null;
+}
+
+function describeCapture(meta) {
+  if (!meta) return "";
+  const date = meta.capturedAt &&
+    new Date(meta.capturedAt).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+  return [date, meta.camera].filter(Boolean).join(" · ");
+}
+
+// 2×1 JPEG tagged with EXIF orientation 6 (rotate 90° clockwise). Browsers
+// that honour orientation decode it as 1×2.
+const ORIENTATION_TEST_JPEG = "data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAIBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z";
+
+let browserOrientsImages = null;
+
+function checkBrowserOrientation() {
+  if (!browserOrientsImages) {
+    browserOrientsImages = getImageSize(ORIENTATION_TEST_JPEG).then(({ width, height }) => height > width);
+  }
+  return browserOrientsImages;
+}
+
+// Return an image that displays upright everywhere — the file itself unless
+// it has to be turned. Browsers that apply EXIF orientation already do so for
+// <img>, canvas drawing and face detection alike; for the rest the rotation
+// is baked into the pixels once.
+async function orientImage(blob, orientation = 1) {
+  if (orientation <= 1 || orientation > 8 || await checkBrowserOrientation()) return blob;
+
+  const img = new Image();
+  img.src = URL.createObjectURL(blob);
+  try { await img.decode(); } catch { return blob; } finally { URL.revokeObjectURL(img.src); }
+  const w = img.naturalWidth, h = img.naturalHeight;
+  const swap = orientation >= 5;
+  const canvas = Object.assign(document.createElement("canvas"), {
+    width: swap ? h : w, height: swap ? w : h,
   });
+  const ctx = canvas.getContext("2d");
+  const transforms = {
+    2: [-1, 0, 0, 1, w, 0],  3: [-1, 0, 0, -1, w, h], 4: [1, 0, 0, -1, 0, h],
+    5: [0, 1, 1, 0, 0, 0],   6: [0, 1, -1, 0, h, 0],  7: [0, -1, -1, 0, h, w],
+    8: [0, -1, 1, 0, 0, w],
+  };
+  ctx.transform(...transforms[orientation]);
+  ctx.drawImage(img, 0, 0);
+  return encodeCanvas(canvas, getUprightType(blob.type), 0.95);
+}
+
+// PNG and WebP may carry transparency, which a JPEG would flatten
+function getUprightType(type) {
+  return type === "image/png" || type === "image/webp" ? type : "image/jpeg";
 }
 
 // ── Face Detection ────────────────────────────────────────────────────────────
 
 let faceApiReady = false;
+let landmarksReady = false;
 
 async function initFaceApi() {
   try {
@@ -102,64 +696,118 @@ async function initFaceApi() {
     faceApiReady = true;
   } catch (e) {
     console.warn("face-api.js model failed to load:", e);
+    return;
+  }
+  // Landmarks are optional — without them eye level falls back to an
+  // estimate from the bounding box
+  try {
+    await faceapi.nets.faceLandmark68TinyNet.loadFromUri("./weights");
+    landmarksReady = true;
+  } catch (e) {
+    console.warn("face-api.js landmark model failed to load:", e);
   }
 }
 
-async function detectFace(dataURL) {
-  if (!faceApiReady) return { x: 0.5, y: 0.5, faceFound: false };
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = async () => {
-      try {
-        // Pre-scale to max 1200px on the longest dimension before detection.
-        // TinyFaceDetector struggles with full-body shots where the face is a
-        // small fraction of a high-res image. Pre-scaling normalises face size
-        // for the detector without changing the normalised (0–1) coordinates.
-        const MAX_DIM = 1200;
-        const longestDim = Math.max(img.naturalWidth, img.naturalHeight);
-        const prescale = longestDim > MAX_DIM ? MAX_DIM / longestDim : 1;
-
-        let detectionEl = img;
-        if (prescale < 1) {
-          const c = document.createElement("canvas");
-          c.width  = Math.round(img.naturalWidth  * prescale);
-          c.height = Math.round(img.naturalHeight * prescale);
-          c.getContext("2d").drawImage(img, 0, 0, c.width, c.height);
-          detectionEl = c;
-        }
-
-        const detW = detectionEl instanceof HTMLCanvasElement ? detectionEl.width  : img.naturalWidth;
-        const detH = detectionEl instanceof HTMLCanvasElement ? detectionEl.height : img.naturalHeight;
-
-        // Try multiple inputSizes: 608 catches small faces in large images;
-        // smaller values (416, 224) catch large/close-up faces that fill the frame.
-        let detection = null;
-        for (const inputSize of [608, 416, 224]) {
-          detection = await faceapi.detectSingleFace(
-            detectionEl,
-            new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold: 0.35 })
-          );
-          if (detection) break;
-        }
-
-        if (!detection) return resolve({ x: 0.5, y: 0.5, faceFound: false });
-        const box = detection.box;
-        // Normalised coords are scale-invariant — no conversion needed.
-        // Use estimated eye level (38% from top of bounding box) rather than
-        // face centre (50%) — eyes are what the brain uses to judge "same plane".
-        resolve({
-          x:     (box.x + box.width  / 2)    / detW,
-          y:     (box.y + box.height * 0.38) / detH,
-          faceH: box.height / detH,
-          faceFound: true,
+// Detects every face and picks the largest as the automatic focal point.
+// Resolves to { x, y, faceH?, eyeDist?, tilt?, faceFound, source, faces }
+// where faces holds all detections as { x, y, faceH, eyeDist, tilt,
+// box: { x, y, w, h }, score } in normalised (0–1) coordinates, so the subject
+// can be re-picked on the thumbnail. With landmarks, (x, y) is the midpoint
+// between the eyes, eyeDist is the inter-eye distance as a fraction of image
+// height and tilt is the eye line's clockwise angle in degrees.
+async function detectFace(source) {
+  const noFace = { x: 0.5, y: 0.5, faceFound: false, source: "auto", faces: [] };
+  if (!faceApiReady || !source) return noFace;
+  try {
+    // Pre-scale to max 1200px on the longest dimension before detection.
+    // TinyFaceDetector struggles with full-body shots where the face is a
+    // small fraction of a high-res image. Pre-scaling normalises face size
+    // for the detector without changing the normalised (0–1) coordinates.
+    // face-api.js can't read an ImageBitmap, so the proxy is always copied
+    // onto a canvas.
+    const MAX_DIM = 1200;
+    const prescale = Math.min(1, MAX_DIM / Math.max(source.width, source.height));
+    const detectionEl = makeCanvas(Math.round(source.width * prescale), Math.round(source.height * prescale));
+    detectionEl.getContext("2d").drawImage(source, 0, 0, detectionEl.width, detectionEl.height);
+    const detW = detectionEl.width, detH = detectionEl.height;
+
+    // Try multiple inputSizes: 608 catches small faces in large images;
+    // smaller values (416, 224) catch large/close-up faces that fill the frame.
+    let detections = [];
+    for (const inputSize of [608, 416, 224]) {
+      const task = faceapi.detectAllFaces(
+        detectionEl,
+        new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold: 0.35 })
+      );
+      // withFaceLandmarks(true) uses the tiny 68-point landmark net
+      detections = landmarksReady
+        ? await task.withFaceLandmarks(true)
+        : (await task).map((detection) => ({ detection, landmarks: null }));
+      if (detections.length) break;
+    }
+
+    if (!detections.length) return noFace;
+    // Normalised coords are scale-invariant — no conversion needed.
+    const faces = detections.map(({ detection, landmarks }) => {
+      const { box, score } = detection;
+      const face = {
+        // Without landmarks, estimate eye level at 38% from the top of
+        // the bounding box rather than face centre (50%) — eyes are what
+        // the brain uses to judge "same plane".
+        x:     (box.x + box.width  / 2)    / detW,
+        y:     (box.y + box.height * 0.38) / detH,
+        faceH: box.height / detH,
+        box:   { x: box.x / detW, y: box.y / detH, w: box.width / detW, h: box.height / detH },
+        score,
+      };
+      if (landmarks) {
+        const centre = (pts) => ({
+          x: pts.reduce((a, p) => a + p.x, 0) / pts.length,
+          y: pts.reduce((a, p) => a + p.y, 0) / pts.length,
+        });
+        // Order by image position so the tilt reads left-to-right
+        const [a, b] = [centre(landmarks.getLeftEye()), centre(landmarks.getRightEye())]
+          .sort((p, q) => p.x - q.x);
+        Object.assign(face, {
+          x:       (a.x + b.x) / 2 / detW,
+          y:       (a.y + b.y) / 2 / detH,
+          eyeDist: Math.hypot(b.x - a.x, b.y - a.y) / detH,
+          tilt:    (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI,
         });
-      } catch {
-        resolve({ x: 0.5, y: 0.5, faceFound: false });
       }
-    };
-    img.onerror = () => resolve({ x: 0.5, y: 0.5, faceFound: false });
-    img.src = dataURL;
-  });
+      return face;
+    });
+    // Largest face first — in group shots the subject is usually nearest the camera
+    faces.sort((a, b) => b.box.w * b.box.h - a.box.w * a.box.h);
+    return focalFromFace(faces[0], "auto", faces);
+  } catch {
+    return noFace;
+  }
+}
+
+function focalFromFace(face, source, faces) {
+  const { x, y, faceH, eyeDist, tilt, box } = face;
+  const headY = box ? Math.max(0, box.y - HEAD_ABOVE_BOX * box.h) : undefined;
+  return { x, y, faceH, eyeDist, tilt, headY, faceFound: true, source, faces };
+}
+
+// The automatic focal point: the largest face, else a confident salient
+// subject, else the centre. Subject focal points don't join eye-line
+// alignment — they're not eyes — but still steer each panel's crop.
+function autoFocal(faces, subject) {
+  if (faces.length) return { ...focalFromFace(faces[0], "auto", faces), subject };
+  const useSubject = subject?.confidence >= SUBJECT_MIN_CONFIDENCE;
+  return {
+    x: useSubject ? subject.x : 0.5,
+    y: useSubject ? subject.y : 0.5,
+    faceFound: false, source: "auto", faces, subject,
+  };
+}
+
+// True when the focal point should take part in eye-line alignment — a
+// detected face, or a point the user placed by hand
+function isAnchored(focal) {
+  return !!(focal?.faceFound || focal?.source === "manual");
 }
 
 // ── Layouts UI ────────────────────────────────────────────────────────────────
@@ -175,14 +823,7 @@ function renderPresets() {
     const diagram = document.createElement("div");
     diagram.className = "preset-diagram";
     diagram.style.height = "36px";
-    for (let i = 0; i < layout.photoCount; i++) {
-      if (i > 0) {
-        const div = document.createElement("div");
-        div.className = "divider";
-        diagram.appendChild(div);
-      }
-      diagram.appendChild(Object.assign(document.createElement("div"), { className: "panel" }));
-    }
+    diagram.appendChild(buildDiagramNode(layout.split));
 
     const name = document.createElement("div");
     name.className = "preset-card-name";
@@ -194,7 +835,7 @@ function renderPresets() {
 
     const formats = document.createElement("div");
     formats.className = "preset-formats";
-    OUTPUT_FORMATS.forEach((f) => {
+    getEnabledFormats().forEach((f) => {
       const badge = document.createElement("span");
       badge.className = "format-badge";
       badge.textContent = `${f.label} · ${f.width}×${f.height}`;
@@ -210,10 +851,25 @@ function renderPresets() {
   });
 }
 
+// Nested flex boxes mirroring the layout's split tree
+function buildDiagramNode(node) {
+  if (!node) return Object.assign(document.createElement("div"), { className: "panel" });
+  const el = document.createElement("div");
+  el.className = `split split-${node.dir}`;
+  node.children.forEach((child, ci) => {
+    if (ci > 0) el.appendChild(Object.assign(document.createElement("div"), { className: "divider" }));
+    el.appendChild(buildDiagramNode(child));
+  });
+  return el;
+}
+
 function selectLayout(layout) {
   if (state.selectedLayout && state.selectedLayout.photoCount !== layout.photoCount) {
     state.images = [];
     state.focalPoints = [];
+    state.credits = [];
+    state.photoAdjustments = [];
+    state.harmonise = { ...DEFAULT_HARMONISE };
   }
   state.selectedLayout = layout;
   document.querySelectorAll(".preset-card").forEach((c) =>
@@ -222,18 +878,245 @@ function selectLayout(layout) {
   renderUploadZones(layout.photoCount);
   updateComposeButton();
   resetPreview();
+  scheduleAutosave();
+}
+
+// ── Output formats ────────────────────────────────────────────────────────────
+
+function loadFormats() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FORMATS_STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length) return dedupeSuffixes(saved.map(normaliseFormat));
+  } catch {
+    // Corrupt or unavailable storage — fall back to the defaults
+  }
+  return DEFAULT_FORMATS.map(normaliseFormat);
+}
+
+function saveFormats() {
+  try {
+    localStorage.setItem(FORMATS_STORAGE_KEY, JSON.stringify(state.formats));
+  } catch (e) {
+    console.warn("Could not save output formats:", e);
+  }
+}
+
+function loadMaxZoom() {
+  try {
+    const saved = Number(localStorage.getItem(MAX_ZOOM_STORAGE_KEY));
+    if (ZOOM_CEILINGS.includes(saved)) return saved;
+  } catch {
+    // Unavailable storage — use the default
+  }
+  return DEFAULT_MAX_ZOOM;
+}
+
+// Lowering the ceiling pulls panels zoomed beyond it back in, as one
+// undoable edit
+function setMaxZoom(value) {
+  state.maxZoom = value;
+  try {
+    localStorage.setItem(MAX_ZOOM_STORAGE_KEY, String(value));
+  } catch (e) {
+    console.warn("Could not save zoom limit:", e);
+  }
+  beginEdit();
+  state.adjustments.forEach((adjs) => adjs.forEach((adj) => { adj.scale = Math.min(adj.scale, value); }));
+  commitEdit();
+  if (state.composited) { buildCanvasEntries(); renderAllCanvases(); }
+}
+
+function normaliseFormat(f) {
+  const px = (v, fallback) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) && n > 0 ? Math.max(FORMAT_MIN_PX, Math.min(FORMAT_MAX_PX, n)) : fallback;
+  };
+  const width  = px(f.width, 2000);
+  const height = px(f.height, 1000);
+  const label  = String(f.label ?? "").trim() || `${width}×${height}`;
+  const suffix = slugify(f.suffix || label) || `${width}x${height}`;
+  const exportType = EXPORT_TYPES.some((t) => t.type === f.exportType) ? f.exportType : DEFAULT_EXPORT.exportType;
+  const quality    = Number(f.quality);
+  const maxKB      = Math.round(Number(f.maxKB));
+  return {
+    id: f.id || `fmt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    label, width, height, suffix,
+    enabled: f.enabled !== false,
+    exportType,
+    quality: quality > 0 && quality <= 1 ? quality : DEFAULT_EXPORT.quality,
+    maxKB:   maxKB > 0 ? maxKB : null,
+  };
+}
+
+// Downloads are named by suffix, so no two formats may share one — a
+// repeat gets "-2", "-3", …
+function uniqueSuffix(suffix, taken) {
+  let unique = suffix;
+  for (let n = 2; taken.includes(unique); n++) unique = `${suffix}-${n}`;
+  return unique;
+}
+
+function dedupeSuffixes(formats) {
+  const taken = [];
+  formats.forEach((f) => { f.suffix = uniqueSuffix(f.suffix, taken); taken.push(f.suffix); });
+  return formats;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/×/g, "x").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function getEnabledFormats() {
+  return state.formats.filter((f) => f.enabled);
+}
+
+function renderFormatManager() {
+  formatManagerEl.innerHTML = "";
+
+  const title = Object.assign(document.createElement("p"), {
+    className: "format-manager-label", textContent: "Output formats",
+  });
+  formatManagerEl.appendChild(title);
+
+  state.formats.forEach((fmt, index) => {
+    const row = document.createElement("div");
+    row.className = "format-row";
+    row.classList.toggle("disabled", !fmt.enabled);
+
+    const enabled = Object.assign(document.createElement("input"), {
+      type: "checkbox", checked: fmt.enabled, title: "Generate this format",
+    });
+    enabled.addEventListener("change", () => updateFormat(index, { enabled: enabled.checked }));
+
+    const label = Object.assign(document.createElement("input"), {
+      type: "text", className: "format-label-input", value: fmt.label, title: "Label",
+    });
+    label.addEventListener("change", () => updateFormat(index, { label: label.value }));
+
+    const width = Object.assign(document.createElement("input"), {
+      type: "number", className: "format-size-input", value: fmt.width,
+      min: FORMAT_MIN_PX, max: FORMAT_MAX_PX, title: "Width (px)",
+    });
+    width.addEventListener("change", () => updateFormat(index, { width: width.value }));
+
+    const height = Object.assign(document.createElement("input"), {
+      type: "number", className: "format-size-input", value: fmt.height,
+      min: FORMAT_MIN_PX, max: FORMAT_MAX_PX, title: "Height (px)",
+    });
+    height.addEventListener("change", () => updateFormat(index, { height: height.value }));
+
+    const suffix = Object.assign(document.createElement("input"), {
+      type: "text", className: "format-suffix-input", value: fmt.suffix, title: "Filename suffix",
+    });
+    suffix.addEventListener("change", () => updateFormat(index, { suffix: suffix.value }));
+
+    const removeBtn = Object.assign(document.createElement("button"), {
+      className: "secondary format-remove", textContent: "✕", title: "Remove format",
+    });
+    removeBtn.disabled = state.formats.length < 2;
+    removeBtn.addEventListener("click", () => removeFormat(index));
+
+    row.append(
+      enabled, label, width,
+      Object.assign(document.createElement("span"), { className: "format-times", textContent: "×" }),
+      height, suffix, removeBtn,
+    );
+    formatManagerEl.appendChild(row);
+  });
+
+  const addSelect = document.createElement("select");
+  addSelect.className = "format-add";
+  addSelect.appendChild(new Option("+ Add format…", ""));
+  FORMAT_PRESETS.forEach((p, pi) => addSelect.appendChild(new Option(`${p.label} · ${p.width}×${p.height}`, String(pi))));
+  addSelect.appendChild(new Option("Custom", "custom"));
+  addSelect.addEventListener("change", () => {
+    const choice = addSelect.value;
+    if (!choice) return;
+    addFormat(choice === "custom"
+      ? { label: "Custom", width: 2000, height: 2000, suffix: "custom" }
+      : FORMAT_PRESETS[Number(choice)]);
+  });
+  formatManagerEl.appendChild(addSelect);
+}
+
+function addFormat(preset) {
+  state.formats.push(normaliseFormat({ ...preset, id: null, enabled: true }));
+  onFormatsChanged();
+}
+
+function updateFormat(index, changes) {
+  const fmt = normaliseFormat({ ...state.formats[index], ...changes });
+  // The edited format gives way, not the one that already had the suffix
+  fmt.suffix = uniqueSuffix(fmt.suffix, state.formats.filter((_, j) => j !== index).map((f) => f.suffix));
+  state.formats[index] = fmt;
+  onFormatsChanged();
+}
+
+function removeFormat(index) {
+  if (state.formats.length < 2) return;
+  state.formats.splice(index, 1);
+  onFormatsChanged();
+}
+
+// Formats a session or project was composed with join the saved list when
+// it doesn't have them, so a project from another machine keeps its formats
+function mergeFormats(formats) {
+  const added = formats.filter((f) => f?.id && !state.formats.some((saved) => saved.id === f.id));
+  if (!added.length) return;
+  state.formats.push(...added.map(normaliseFormat));
+  onFormatsChanged();
+}
+
+function onFormatsChanged() {
+  dedupeSuffixes(state.formats);
+  saveFormats();
+  renderFormatManager();
+  renderPresets();
+  if (state.selectedLayout) {
+    document.querySelectorAll(".preset-card").forEach((c) =>
+      c.classList.toggle("selected", c.dataset.id === state.selectedLayout.id)
+    );
+  }
+  updateComposeButton();
+  if (state.composited) syncOutputFormats();
+}
+
+// Rebuild canvas entries after the format list changes. Formats that were
+// already composed keep their adjustments; new or resized ones are auto-aligned.
+function syncOutputFormats() {
+  const enabled = getEnabledFormats();
+  if (!enabled.length) { resetPreview(); return; }
+
+  const prevFormats = state.outputFormats;
+  const prevAdjs    = state.adjustments;
+  state.outputFormats = enabled.map((f) => ({
+    ...f, splitRatios: prevFormats.find((p) => p.id === f.id)?.splitRatios ?? [],
+  }));
+  state.adjustments = state.outputFormats.map((fmt) => {
+    const pi = prevFormats.findIndex((p) => p.id === fmt.id && p.width === fmt.width && p.height === fmt.height);
+    return pi >= 0 ? prevAdjs[pi] : autoAlignFormat(fmt);
+  });
+  buildCanvasEntries();
+  renderAllCanvases();
+  // History snapshots are per format list, so they can't survive a change to it
+  clearHistory();
+  scheduleAutosave();
 }
 
 // ── Upload zones ──────────────────────────────────────────────────────────────
 
 function renderUploadZones(count) {
-  uploadHint.textContent = `Upload ${count} photo${count > 1 ? "s" : ""} — or paste from clipboard (Ctrl+V / ⌘+V)`;
+  uploadHint.textContent = count > 1
+    ? `Upload ${count} photos — drop several at once, drag thumbnails to reorder, or paste from clipboard (Ctrl+V / ⌘+V)`
+    : "Upload 1 photo — or paste from clipboard (Ctrl+V / ⌘+V)";
   uploadZonesEl.innerHTML = "";
   for (let i = 0; i < count; i++) {
     const zone = createUploadZone(i);
     uploadZonesEl.appendChild(zone);
-    if (state.images[i]) applyImageToZone(zone, state.images[i].dataURL, state.focalPoints[i], state.images[i].qualityWarning);
+    if (state.images[i]) applyImageToZone(zone, state.images[i], state.focalPoints[i]);
   }
+  updateDuplicateWarnings();
+  renderAlternates();
 }
 
 function createUploadZone(index) {
@@ -253,7 +1136,11 @@ function createUploadZone(index) {
   const input = document.createElement("input");
   input.type = "file";
   input.accept = "image/*";
-  input.addEventListener("change", (e) => { if (e.target.files[0]) loadImageFile(e.target.files[0], index); });
+  input.multiple = true;
+  input.addEventListener("change", (e) => {
+    intakeFiles([...e.target.files], index);
+    input.value = "";
+  });
   zone.appendChild(input);
 
   const removeBtn = document.createElement("button");
@@ -262,99 +1149,409 @@ function createUploadZone(index) {
   removeBtn.addEventListener("click", (e) => { e.preventDefault(); e.stopPropagation(); removeImage(index); });
   zone.appendChild(removeBtn);
 
+  // Once a photo is loaded, clicks on the thumbnail set the focal point, so
+  // browsing for a replacement moves to its own button
+  const replaceBtn = document.createElement("button");
+  replaceBtn.className = "replace-btn";
+  replaceBtn.textContent = "↻";
+  replaceBtn.title = "Replace photo";
+  replaceBtn.addEventListener("click", (e) => { e.preventDefault(); e.stopPropagation(); input.click(); });
+  zone.appendChild(replaceBtn);
+
+  zoneResizeObserver?.observe(zone);
+
+  // A loaded thumbnail can be dragged onto another zone to swap the two
+  zone.addEventListener("dragstart", (e) => {
+    if (!state.images[index]) { e.preventDefault(); return; }
+    e.dataTransfer.setData(SLOT_DRAG_TYPE, String(index));
+    e.dataTransfer.effectAllowed = "move";
+  });
+
   zone.addEventListener("dragover",  (e) => { e.preventDefault(); zone.classList.add("dragover"); });
   zone.addEventListener("dragleave", () => zone.classList.remove("dragover"));
   zone.addEventListener("drop", (e) => {
     e.preventDefault();
     zone.classList.remove("dragover");
-    const file = e.dataTransfer.files[0];
-    if (file?.type.startsWith("image/")) loadImageFile(file, index);
+    const slot      = e.dataTransfer.getData(SLOT_DRAG_TYPE);
+    const alternate = e.dataTransfer.getData(ALTERNATE_DRAG_TYPE);
+    if (slot !== "") {
+      if (Number(slot) !== index) swapImages(Number(slot), index);
+    } else if (alternate !== "") {
+      useAlternate(Number(alternate), index);
+    } else {
+      intakeFiles([...e.dataTransfer.files], index);
+    }
   });
   return zone;
 }
 
-async function loadImageFile(file, index) {
-  const reader = new FileReader();
-  reader.onload = async (e) => {
-    const dataURL = e.target.result;
-    const [focal, dims, sharpness] = await Promise.all([
-      detectFace(dataURL),
-      getImageSize(dataURL),
-      measureSharpness(dataURL),
-    ]);
-    const isTooSmall = dims.width > 0 && Math.max(dims.width, dims.height) < 1500;
-    const isBlurry   = sharpness < 100;
-    const qualityWarning = isTooSmall ? "low resolution"
-                         : isBlurry  ? "may look soft"
-                         : null;
-    state.images[index] = { file, dataURL, qualityWarning };
-    state.focalPoints[index] = focal;
-    const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
-    if (zone) applyImageToZone(zone, dataURL, focal, qualityWarning);
-    updateComposeButton();
-    resetPreview();
-  };
-  reader.readAsDataURL(file);
-}
+// ── Upload intake ─────────────────────────────────────────────────────────────
 
-function applyImageToZone(zone, dataURL, focal, qualityWarning = null) {
-  zone.querySelector(".preview-img")?.remove();
-  zone.querySelector(".zone-face-badge")?.remove();
-  zone.querySelector(".zone-warn-badge")?.remove();
-  const img = Object.assign(document.createElement("img"), { className: "preview-img", src: dataURL });
-  zone.appendChild(img);
-  zone.classList.add("has-image");
-  if (focal?.faceFound) {
-    zone.appendChild(Object.assign(document.createElement("span"), {
-      className: "zone-face-badge", textContent: "face detected",
-    }));
-  }
-  if (qualityWarning) {
-    zone.appendChild(Object.assign(document.createElement("span"), {
-      className: "zone-warn-badge", textContent: `⚠ ${qualityWarning}`,
-    }));
+// Spread dropped, picked or pasted photos across the slots: the zone they
+// landed on first (if any), then the empty slots in order. Whatever's left
+// over is kept as alternates to swap in later. Slots still loading from an
+// earlier drop count as taken, so a quick second drop fills the next ones.
+const loadingSlots = new Set();
+
+async function intakeFiles(files, startIndex = null) {
+  const photos = files.filter((f) => f.type.startsWith("image/"));
+  if (!photos.length || !state.selectedLayout) return;
+  const count   = state.selectedLayout.photoCount;
+  const empty   = Array.from({ length: count }, (_, i) => i)
+    .filter((i) => !state.images[i] && !loadingSlots.has(i) && i !== startIndex);
+  const targets = (startIndex == null ? empty : [startIndex, ...empty]).slice(0, photos.length);
+  targets.forEach((i) => loadingSlots.add(i));
+  addAlternates(photos.slice(targets.length));
+  // One at a time — face detection is heavy enough without running in parallel
+  for (const [k, index] of targets.entries()) {
+    const file = photos[k];
+    try {
+      await loadImageFile(file, index);
+    } catch (e) {
+      console.warn(`Could not load "${file.name}":`, e);
+      showZoneError(index, `Couldn't open ${file.name || "this photo"}`);
+    } finally {
+      loadingSlots.delete(index);
+    }
   }
 }
 
-function removeImage(index) {
-  delete state.images[index];
-  delete state.focalPoints[index];
-  const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
-  if (zone) {
-    zone.querySelector(".preview-img")?.remove();
-    zone.querySelector(".zone-face-badge")?.remove();
-    zone.querySelector(".zone-warn-badge")?.remove();
-    zone.classList.remove("has-image");
-  }
-  updateComposeButton();
-  resetPreview();
+function addAlternates(files) {
+  if (!files.length) return;
+  files.forEach((file) => state.alternates.push({ file, url: URL.createObjectURL(file) }));
+  renderAlternates();
 }
 
-function swapImages(i, j) {
-  [state.images[i],      state.images[j]]      = [state.images[j],      state.images[i]];
-  [state.focalPoints[i], state.focalPoints[j]]  = [state.focalPoints[j], state.focalPoints[i]];
-  renderUploadZones(state.selectedLayout.photoCount);
-  if (state.composited) {
-    // Swap loaded image elements and per-format adjustments so zoom/position
-    // is preserved and there's no full recompose (which causes a page jump).
-    [state.imageEls[i], state.imageEls[j]] = [state.imageEls[j], state.imageEls[i]];
-    state.adjustments.forEach(fmtAdjs => {
-      [fmtAdjs[i], fmtAdjs[j]] = [fmtAdjs[j], fmtAdjs[i]];
-    });
-    buildCanvasEntries();
-    renderAllCanvases();
-  }
+function removeAlternate(altIndex) {
+  const [alt] = state.alternates.splice(altIndex, 1);
+  if (alt) URL.revokeObjectURL(alt.url);
+  renderAlternates();
 }
 
-function updateComposeButton() {
-  if (!state.selectedLayout) { btnCompose.disabled = true; return; }
-  let loaded = 0;
-  for (let i = 0; i < state.selectedLayout.photoCount; i++) { if (state.images[i]) loaded++; }
-  btnCompose.disabled = loaded < state.selectedLayout.photoCount;
+function clearAlternates() {
+  state.alternates.forEach((alt) => URL.revokeObjectURL(alt.url));
+  state.alternates = [];
+  renderAlternates();
+}
+
+// Put an alternate into a slot; the photo it replaces becomes an alternate.
+// If the alternate won't load, both stay where they were.
+async function useAlternate(altIndex, index) {
+  const alt = state.alternates[altIndex];
+  if (!alt) return;
+  const displaced = state.images[index]?.file;
+  if (!await loadImageFile(alt.file, index)) return;
+  // The list may have changed while the photo loaded
+  const current = state.alternates.indexOf(alt);
+  if (current >= 0) removeAlternate(current);
+  if (displaced) addAlternates([displaced]);
+}
+
+function renderAlternates() {
+  alternatesList.innerHTML = "";
+  alternatesEl.hidden = !state.alternates.length;
+  state.alternates.forEach((alt, ai) => {
+    const item = Object.assign(document.createElement("div"), {
+      className: "alternate", draggable: true, title: `${alt.file.name} — drag onto a photo to use it`,
+    });
+    item.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData(ALTERNATE_DRAG_TYPE, String(ai));
+      e.dataTransfer.effectAllowed = "move";
+    });
+    const thumb = Object.assign(document.createElement("img"), { src: alt.url, alt: alt.file.name, draggable: false });
+
+    // Keyboard and click route: fill the first empty slot
+    const useBtn = Object.assign(document.createElement("button"), {
+      className: "alternate-use", textContent: "Use", title: "Put in the first empty slot",
+    });
+    const firstEmpty = () => Array.from({ length: state.selectedLayout?.photoCount ?? 0 }, (_, i) => i)
+      .find((i) => !state.images[i]);
+    useBtn.disabled = firstEmpty() == null;
+    useBtn.addEventListener("click", () => useAlternate(ai, firstEmpty()));
+
+    const removeBtn = Object.assign(document.createElement("button"), {
+      className: "alternate-remove", textContent: "✕", title: "Discard",
+    });
+    removeBtn.setAttribute("aria-label", `Discard ${alt.file.name}`);
+    removeBtn.addEventListener("click", () => removeAlternate(ai));
+
+    item.append(thumb, useBtn, removeBtn);
+    alternatesList.appendChild(item);
+  });
+}
+
+function hashDistance(a, b) {
+  let bits = 0;
+  for (let k = 0; k < a.length; k += 2) {
+    let v = parseInt(a.slice(k, k + 2), 16) ^ parseInt(b.slice(k, k + 2), 16);
+    for (; v; v &= v - 1) bits++;
+  }
+  return bits;
+}
+
+// Photo numbers (1-based) of the other slots holding the same picture as slot i
+function findDuplicates(i) {
+  const hash = state.images[i]?.hash;
+  if (!hash) return [];
+  return state.images
+    .map((image, j) => (j !== i && image?.hash && hashDistance(hash, image.hash) <= DUPLICATE_MAX_BITS ? j + 1 : null))
+    .filter(Boolean);
+}
+
+// Flag every zone whose photo looks the same as another slot's
+function updateDuplicateWarnings() {
+  uploadZonesEl.querySelectorAll(".upload-zone").forEach((zone) => {
+    zone.querySelector(".zone-dup-badge")?.remove();
+    const twins = findDuplicates(Number(zone.dataset.index));
+    if (!twins.length) return;
+    zone.appendChild(Object.assign(document.createElement("span"), {
+      className: "zone-dup-badge",
+      textContent: `⚠ same as photo ${twins.join(", ")}`,
+      title: "This looks like the same picture as another slot",
+    }));
+  });
+}
+
+// Metadata is read first so every later step — face detection, quality
+// checks and rendering — sees the photo the right way up
+// Resolves false, with the reason shown on the zone, when the file can't be
+// read or decoded; whatever the slot held before stays put
+async function loadImageFile(file, index) {
+  let meta, blob, analysis, faceFocal;
+  try {
+    meta = await readPhotoMeta(file);
+    blob = await orientImage(file, meta.orientation);
+    analysis = await analyseImage(blob);
+    if (!analysis.proxy || !analysis.width) throw new Error("the image couldn't be decoded");
+    faceFocal = await detectFace(analysis.proxy);
+  } catch (e) {
+    console.warn(`Could not load "${file.name}":`, e);
+    showZoneError(index, `Couldn't open ${file.name || "this photo"}`);
+    return false;
+  }
+  const { width, height, proxy, sharpness, hash, subject } = analysis;
+  const focal = faceFocal.faceFound ? faceFocal : autoFocal(faceFocal.faces, subject);
+  const isTooSmall = width > 0 && Math.max(width, height) < 1500;
+  const isBlurry   = sharpness < 100;
+  const qualityWarning = isTooSmall ? "low resolution"
+                       : isBlurry  ? "may look soft"
+                       : null;
+  const thumbnail = makeZoneThumbnail(proxy, blob.type);
+  state.images[index] = { file, blob, thumbnail, qualityWarning, meta, hash, proxy };
+  state.focalPoints[index] = focal;
+  state.credits[index] = meta.credit ?? "";
+  state.photoAdjustments[index] = { ...DEFAULT_PHOTO_ADJUSTMENT };
+  const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
+  if (zone) applyImageToZone(zone, state.images[index], focal);
+  updateDuplicateWarnings();
+  renderAlternates();
+  updateComposeButton();
+  resetPreview();
+  scheduleAutosave();
+  return true;
+}
+
+function showZoneError(index, text) {
+  const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
+  if (!zone) return;
+  zone.querySelector(".zone-error-badge")?.remove();
+  zone.appendChild(Object.assign(document.createElement("span"), {
+    className: "zone-error-badge", textContent: `⚠ ${text}`, title: text,
+  }));
+}
+
+function applyImageToZone(zone, image, focal) {
+  const { thumbnail, qualityWarning, meta } = image;
+  clearZoneImage(zone);
+  const img = Object.assign(document.createElement("img"), { className: "preview-img", src: thumbnail, draggable: false });
+  img.addEventListener("load", () => layoutZoneMarkers(zone));
+  zone.appendChild(img);
+  zone.classList.add("has-image");
+  zone.draggable = true;
+  renderZoneMarkers(zone, focal);
+  if (focal?.faceFound || focal?.source === "manual") {
+    zone.appendChild(Object.assign(document.createElement("span"), {
+      className: "zone-face-badge", textContent: describeFocal(focal),
+    }));
+  } else if (focal?.subject?.confidence >= SUBJECT_MIN_CONFIDENCE) {
+    zone.appendChild(Object.assign(document.createElement("span"), {
+      className: "zone-face-badge zone-subject-badge",
+      textContent: `subject detected · ${Math.round(focal.subject.confidence * 100)}%`,
+      title: "No face found — framed on the most eye-catching region",
+    }));
+  }
+  if (focal && focal.source !== "auto") {
+    const autoBtn = Object.assign(document.createElement("button"), {
+      className: "zone-auto-btn", textContent: "Auto", title: "Go back to the automatic focal point",
+    });
+    autoBtn.addEventListener("click", (e) => {
+      e.preventDefault(); e.stopPropagation();
+      const index = Number(zone.dataset.index);
+      const current = state.focalPoints[index];
+      setFocalPoint(index, autoFocal(current?.faces ?? [], current?.subject));
+    });
+    zone.appendChild(autoBtn);
+  }
+  if (qualityWarning) {
+    zone.appendChild(Object.assign(document.createElement("span"), {
+      className: "zone-warn-badge", textContent: `⚠ ${qualityWarning}`,
+    }));
+  }
+  const capture = describeCapture(meta);
+  if (capture || meta?.credit) {
+    const metaEl = Object.assign(document.createElement("span"), { className: "zone-meta" });
+    if (meta?.credit) metaEl.appendChild(Object.assign(document.createElement("strong"), { textContent: meta.credit }));
+    if (capture) metaEl.appendChild(Object.assign(document.createElement("span"), { textContent: capture }));
+    metaEl.title = [meta?.credit, capture].filter(Boolean).join("\n");
+    zone.appendChild(metaEl);
+  }
+}
+
+function clearZoneImage(zone) {
+  zone.querySelector(".preview-img")?.remove();
+  zone.querySelector(".zone-markers")?.remove();
+  zone.querySelector(".zone-face-badge")?.remove();
+  zone.querySelector(".zone-auto-btn")?.remove();
+  zone.querySelector(".zone-warn-badge")?.remove();
+  zone.querySelector(".zone-meta")?.remove();
+  zone.querySelector(".zone-dup-badge")?.remove();
+  zone.querySelector(".zone-error-badge")?.remove();
+  zone.draggable = false;
+}
+
+function describeFocal(focal) {
+  const what = focal.source === "manual" ? "focal point"
+             : focal.source === "face"   ? "face selected"
+             : "face detected";
+  return `${what} · ${focal.source === "auto" ? "auto" : "manual"}`;
+}
+
+function removeImage(index) {
+  delete state.images[index];
+  delete state.focalPoints[index];
+  delete state.credits[index];
+  delete state.photoAdjustments[index];
+  const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
+  if (zone) {
+    clearZoneImage(zone);
+    zone.classList.remove("has-image");
+  }
+  updateDuplicateWarnings();
+  renderAlternates();
+  updateComposeButton();
+  resetPreview();
+  scheduleAutosave();
+}
+
+function swapImages(i, j) {
+  beginEdit();
+  [state.images[i],      state.images[j]]      = [state.images[j],      state.images[i]];
+  [state.focalPoints[i], state.focalPoints[j]]  = [state.focalPoints[j], state.focalPoints[i]];
+  [state.credits[i],     state.credits[j]]      = [state.credits[j],     state.credits[i]];
+  [state.photoAdjustments[i], state.photoAdjustments[j]] = [state.photoAdjustments[j], state.photoAdjustments[i]];
+  swapHarmonise(i, j);
+  renderUploadZones(state.selectedLayout.photoCount);
+  if (state.composited) {
+    // Swap loaded image elements and per-format adjustments so zoom/position
+    // is preserved and there's no full recompose (which causes a page jump).
+    [state.imageEls[i], state.imageEls[j]] = [state.imageEls[j], state.imageEls[i]];
+    state.adjustments.forEach(fmtAdjs => {
+      [fmtAdjs[i], fmtAdjs[j]] = [fmtAdjs[j], fmtAdjs[i]];
+    });
+    buildCanvasEntries();
+    renderAllCanvases();
+    renderToneControls();
+  }
+  commitEdit();
+}
+
+function updateComposeButton() {
+  btnSaveProject.disabled = !state.images.some(Boolean);
+  if (!state.selectedLayout || !getEnabledFormats().length) { btnCompose.disabled = true; return; }
+  let loaded = 0;
+  for (let i = 0; i < state.selectedLayout.photoCount; i++) { if (state.images[i]) loaded++; }
+  btnCompose.disabled = loaded < state.selectedLayout.photoCount;
+}
+
+// ── Focal point picking ───────────────────────────────────────────────────────
+
+// Face boxes, focal marker and eye line drawn over the upload thumbnail.
+// Clicking a box picks that face; clicking anywhere else places a manual
+// focal point whose height becomes the eye line for alignment.
+function renderZoneMarkers(zone, focal) {
+  const markers = document.createElement("div");
+  markers.className = "zone-markers";
+  markers.title = "Click to set the focal point and eye line";
+  const pct = (v) => `${v * 100}%`;
+
+  (focal?.faces ?? []).forEach((face, fi) => {
+    const box = document.createElement("button");
+    box.className = "zone-face-box";
+    box.classList.toggle("selected", focal.faceFound && face.x === focal.x && face.y === focal.y);
+    box.title = `Use face ${fi + 1} of ${focal.faces.length}`;
+    Object.assign(box.style, {
+      left: pct(face.box.x), top: pct(face.box.y), width: pct(face.box.w), height: pct(face.box.h),
+    });
+    box.addEventListener("click", (e) => {
+      e.preventDefault(); e.stopPropagation();
+      setFocalPoint(Number(zone.dataset.index), { ...focalFromFace(face, "face", focal.faces), subject: focal.subject });
+    });
+    markers.appendChild(box);
+  });
+
+  if (focal) {
+    const eyeLine = Object.assign(document.createElement("div"), { className: "zone-eye-line" });
+    eyeLine.style.top = pct(focal.y);
+    const point = Object.assign(document.createElement("div"), { className: "zone-focal-point" });
+    Object.assign(point.style, { left: pct(focal.x), top: pct(focal.y) });
+    markers.append(eyeLine, point);
+  }
+
+  markers.addEventListener("click", (e) => {
+    e.preventDefault(); e.stopPropagation();
+    const rect  = markers.getBoundingClientRect();
+    const index = Number(zone.dataset.index);
+    const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const y = Math.max(0, Math.min(1, (e.clientY - rect.top)  / rect.height));
+    setFocalPoint(index, {
+      x, y, faceFound: false, source: "manual",
+      faces: state.focalPoints[index]?.faces ?? [], subject: state.focalPoints[index]?.subject,
+    });
+  });
+
+  zone.appendChild(markers);
+  layoutZoneMarkers(zone);
+}
+
+// The thumbnail is object-fit: cover, so match the markers to the image's
+// rendered rectangle (which may overflow the zone) rather than the zone itself
+function layoutZoneMarkers(zone) {
+  const img = zone.querySelector(".preview-img");
+  const markers = zone.querySelector(".zone-markers");
+  if (!img || !markers || !img.naturalWidth) return;
+  const zw = zone.clientWidth, zh = zone.clientHeight;
+  const scale = Math.max(zw / img.naturalWidth, zh / img.naturalHeight);
+  const w = img.naturalWidth * scale, h = img.naturalHeight * scale;
+  Object.assign(markers.style, {
+    left: `${(zw - w) / 2}px`, top: `${(zh - h) / 2}px`, width: `${w}px`, height: `${h}px`,
+  });
+}
+
+const zoneResizeObserver = typeof ResizeObserver !== "undefined"
+  ? new ResizeObserver((entries) => entries.forEach((entry) => layoutZoneMarkers(entry.target)))
+  : null;
+
+function setFocalPoint(index, focal) {
+  state.focalPoints[index] = focal;
+  const zone = uploadZonesEl.querySelector(`[data-index="${index}"]`);
+  if (zone) applyImageToZone(zone, state.images[index], focal);
+  resetPreview();
+  scheduleAutosave();
 }
 
 // ── Compositing ───────────────────────────────────────────────────────────────
 
+// Resolves false, with a notice, when a photo can't be drawn
 async function compose() {
   const layout = state.selectedLayout;
   if (!layout) return;
@@ -366,126 +1563,310 @@ async function compose() {
 
   const count = layout.photoCount;
 
-  // Shared target focal Y
-  const avgY = Array.from({ length: count }, (_, i) => state.focalPoints[i]?.y ?? 0.5)
-    .reduce((s, v) => s + v, 0) / count;
-  state.targetFocalY = Math.max(0.25, Math.min(0.65, avgY));
+  state.targetFocalY = getTargetFocalY();
 
   // Load image elements once
-  state.imageEls = await Promise.all(
+  try {
+    state.imageEls = await loadImageEls(count);
+  } catch (e) {
+    console.warn("Could not draw the photos:", e);
+    canvasLoading.hidden = true;
+    canvasPlaceholder.classList.remove("hidden");
+    updateComposeButton();
+    showNotice("A photo couldn't be drawn — try adding it again");
+    return false;
+  }
+
+  // Init per-format, per-panel adjustments. Divider ratios survive a
+  // re-generate; each output format carries its own in splitRatios.
+  const prevFormats = state.outputFormats;
+  state.outputFormats = getEnabledFormats().map((f) => ({
+    ...f, splitRatios: prevFormats.find((p) => p.id === f.id)?.splitRatios ?? [],
+  }));
+  state.adjustments = state.outputFormats.map(autoAlignFormat);
+
+  showComposite();
+  scheduleAutosave();
+  return true;
+}
+
+// The originals are only decoded here, for exports; their object URLs are let
+// go once they have been
+function loadImageEls(count) {
+  return Promise.all(
     Array.from({ length: count }, (_, i) =>
-      new Promise((resolve) => {
+      new Promise((resolve, reject) => {
         const img = new Image();
-        img.onload = () => resolve(img);
-        img.src = state.images[i].dataURL;
+        img.onload  = () => { URL.revokeObjectURL(img.src); resolve(img); };
+        img.onerror = () => {
+          URL.revokeObjectURL(img.src);
+          reject(new Error(`${state.images[i].file?.name || "A photo"} couldn't be decoded`));
+        };
+        img.src = URL.createObjectURL(state.images[i].blob);
       })
     )
   );
+}
 
-  // Init per-format, per-panel adjustments — align face Y position (no size equalization)
-  state.adjustments = OUTPUT_FORMATS.map((fmt) => {
-    const { width, height } = fmt;
-    const { width: divW } = DIVIDER;
-    const slotW = Math.floor((width - divW * (count - 1)) / count);
-
-    // 1. Base scale for each panel (just enough to cover the slot)
-    const baseScales = Array.from({ length: count }, (_, i) => {
-      const img = state.imageEls[i];
-      return Math.max(slotW / img.width, height / img.height);
-    });
-
-    // 2. Minimum scale so Y-alignment has room to shift the image.
-    //    Ensure drawH >= 150% of slot height. Always clamp to >= 1.0 so cover is maintained.
-    const minScales = Array.from({ length: count }, (_, i) =>
-      Math.max(1.0, (height * 1.5) / (state.imageEls[i].height * baseScales[i]))
-    );
-
-    // 3. Rendered face heights at base scale
-    const renderedFaceHeights = Array.from({ length: count }, (_, i) => {
-      const focal = state.focalPoints[i];
-      if (!focal?.faceFound || !focal.faceH) return null;
-      return focal.faceH * state.imageEls[i].height * baseScales[i];
-    });
-
-    // 4. Target face height: equalize sizes, bounded by minScale floor and 3× cap.
-    const floorFaceHeights = renderedFaceHeights.map((rfh, i) =>
-      rfh != null ? rfh * minScales[i] : null
-    );
-    const validFloorFaceH = floorFaceHeights.filter(v => v != null);
-    const validRenderedFaceH = renderedFaceHeights.filter(v => v != null);
-    const targetFaceHeight = validFloorFaceH.length > 1
-      ? Math.min(
-          Math.max(...validFloorFaceH),
-          Math.min(...validRenderedFaceH) * 3.0
-        )
-      : null;
-
-    const scales = Array.from({ length: count }, (_, i) => {
-      const hasFace = state.focalPoints[i]?.faceFound;
-      const eqScale = (targetFaceHeight != null && renderedFaceHeights[i] != null)
-        ? Math.min(3.0, targetFaceHeight / renderedFaceHeights[i])
-        : 1.0;
-      const floor = hasFace ? minScales[i] : 1.0;
-      // Always >= 1.0 so adj.scale never zooms below cover, preventing white gaps
-      return Math.min(3.0, Math.max(eqScale, floor));
-    });
-
-    // 3. Find the Y range each panel can place its eye level without image-boundary clamping.
-    //    Valid eye Y for panel i: [height - (1-focal.y)*drawH,  focal.y*drawH]
-    //    Intersect all ranges to get a shared achievable Y.
-    const faceYRanges = Array.from({ length: count }, (_, i) => {
-      const focal = state.focalPoints[i];
-      if (!focal?.faceFound) return null;
-      const drawH = state.imageEls[i].height * baseScales[i] * scales[i];
-      return { lower: height - (1 - focal.y) * drawH, upper: focal.y * drawH };
-    });
-    const validRanges = faceYRanges.filter(r => r != null);
-
-    let panY = 0;
-    if (validRanges.length > 1) {
-      const preferred = 0.38 * height;
-      const commonLower = Math.max(...validRanges.map(r => r.lower));
-      const commonUpper = Math.min(...validRanges.map(r => r.upper));
-      // Use intersection if it exists; otherwise aim for preferred Y anyway —
-      // each panel will clamp independently, which is still better than panY=0.
-      const targetFaceY = (commonLower <= commonUpper)
-        ? Math.min(commonUpper, Math.max(commonLower, preferred))
-        : preferred;
-      panY = targetFaceY - state.targetFocalY * height;
-    }
-
-    return Array.from({ length: count }, (_, i) => ({
-      panX: 0,
-      panY: state.focalPoints[i]?.faceFound ? panY : 0,
-      scale: scales[i],
-    }));
-  });
-
-  // Build dual canvas UI
+// Build one canvas entry per format from the current adjustments and reveal
+// the step 3 controls. Shared by compose() and session restore.
+function showComposite() {
   canvasLoading.hidden = true;
+  canvasPlaceholder.classList.add("hidden");
   buildCanvasEntries();
 
   state.composited = true;
   renderAllCanvases();
+  clearHistory();
 
   btnCompose.disabled = false;
   btnDownload.disabled = false;
   btnDownload.hidden = false;
-
-  // Show credit line reminder
-  const n = state.selectedLayout.photoCount;
-  creditPattern.textContent = Array.from({ length: n }, (_, i) => `Photo ${i + 1} Credit`).join("; ");
+  dividerControls.hidden = state.selectedLayout.photoCount < 2;
+  renderDividerControls();
+  toneControls.hidden = state.selectedLayout.photoCount < 2;
+  renderToneControls();
+  alignControls.hidden = false;
+  renderAlignControls();
+
+  // Show credit line reminder and the metadata embedded in exports
+  renderExportMeta();
   creditReminder.hidden = false;
 }
 
+// Shared height for auto-framed focal points. Matching strategies start from
+// the photos' average (kept away from the edges) unless the line is held.
+function getTargetFocalY() {
+  const { strategy, line, lockLine } = state.alignment;
+  if (strategy === "centre" || strategy === "off") return 0.5;
+  if (lockLine) return line;
+  const count = state.selectedLayout.photoCount;
+  const avgY = Array.from({ length: count }, (_, i) => state.focalPoints[i]?.y ?? 0.5)
+    .reduce((s, v) => s + v, 0) / count;
+  return Math.max(0.25, Math.min(0.65, avgY));
+}
+
+// The point of a photo that's lined up across panels: the eyes, or the top of
+// the head (estimated from the face box). Hand-placed points are used as is.
+function getAlignAnchorY(focal) {
+  if (state.alignment.strategy !== "head" || !focal.faceFound) return focal.y;
+  if (focal.headY != null) return focal.headY;
+  return focal.faceH ? Math.max(0, focal.y - 0.6 * focal.faceH) : focal.y;
+}
+
+// The focal point framing a panel. With alignment off, automatic points are
+// ignored and photos are centre-cropped; ones the user picked still count.
+function getFramingFocal(index) {
+  const focal = state.focalPoints[index];
+  if (!focal || (state.alignment.strategy === "off" && focal.source === "auto")) return { x: 0.5, y: 0.5 };
+  return focal;
+}
+
+// Per-panel adjustments for one format — lines up the panels within each
+// horizontal band by the chosen strategy and, optionally, equalises face
+// sizes. Also used when formats are added after composing.
+function autoAlignFormat(fmt) {
+  const slots = getFormatSlots(fmt);
+  const adjs  = slots.map(() => ({ ...DEFAULT_ADJUSTMENT }));
+  groupSlotsByBand(slots).forEach((band) => alignBand(band, slots, adjs));
+  return adjs;
+}
+
+// Align the panels of one band (indices into slots), writing into adjs.
+// Returns the line the anchors were put on, as a fraction of the band's
+// height, or null when nothing was lined up.
+function alignBand(band, slots, adjs) {
+  const { strategy, equaliseSize, line, lockLine } = state.alignment;
+  if (strategy === "off") return null;
+  const matchLine = strategy !== "centre";
+  const height = slots[band[0]].h;
+
+  // 1. Base scale for each panel (just enough to cover the slot)
+  const baseScales = band.map((i) => {
+    const img = state.imageEls[i];
+    return Math.max(slots[i].w / img.width, height / img.height);
+  });
+
+  // 2. Minimum scale so Y-alignment has room to shift the image.
+  //    Ensure drawH >= 150% of slot height. Always clamp to >= 1.0 so cover is maintained.
+  //    Centring doesn't shift panels against each other, so needs no room.
+  const minScales = band.map((i, k) => matchLine
+    ? Math.max(1.0, (height * 1.5) / (state.imageEls[i].height * baseScales[k]))
+    : 1.0
+  );
+
+  // 3. Rendered face sizes at base scale. Inter-eye distance is the steadier
+  //    measure (hair and hats don't move it); the bounding-box height is used
+  //    only when some face in the band has no landmarks, so every panel is
+  //    compared like for like.
+  const faces = band.map((i) => (state.focalPoints[i]?.faceFound ? state.focalPoints[i] : null));
+  const sizeKey = faces.every((f) => !f || f.eyeDist) ? "eyeDist" : "faceH";
+  const renderedFaceSizes = band.map((i, k) => {
+    const size = faces[k]?.[sizeKey];
+    return size ? size * state.imageEls[i].height * baseScales[k] : null;
+  });
+
+  // 4. Target face size: equalize sizes, bounded by minScale floor and 3× cap.
+  const floorFaceSizes = renderedFaceSizes.map((rfs, k) =>
+    rfs != null ? rfs * minScales[k] : null
+  );
+  const validFloorSizes = floorFaceSizes.filter(v => v != null);
+  const validRenderedSizes = renderedFaceSizes.filter(v => v != null);
+  const targetFaceSize = equaliseSize && validFloorSizes.length > 1
+    ? Math.min(
+        Math.max(...validFloorSizes),
+        Math.min(...validRenderedSizes) * 3.0
+      )
+    : null;
+
+  const scales = band.map((i, k) => {
+    const hasFace = isAnchored(state.focalPoints[i]);
+    const eqScale = (targetFaceSize != null && renderedFaceSizes[k] != null)
+      ? Math.min(3.0, targetFaceSize / renderedFaceSizes[k])
+      : 1.0;
+    const floor = hasFace ? minScales[k] : 1.0;
+    // Always >= 1.0 so adj.scale never zooms below cover, preventing white gaps
+    return Math.min(3.0, Math.max(eqScale, floor));
+  });
+
+  // 5. Find the Y range each panel can place its anchor (eyes or head top)
+  //    without image-boundary clamping.
+  //    Valid anchor Y for panel i: [height - (1-anchor)*drawH,  anchor*drawH]
+  //    Intersect all ranges to get a shared achievable Y. Centring moves
+  //    every panel, anchored or not.
+  const drawHs  = band.map((i, k) => state.imageEls[i].height * baseScales[k] * scales[k]);
+  const aligned = band.map((i) => !matchLine || isAnchored(state.focalPoints[i]));
+  const anchors = band.map((i) => (state.focalPoints[i] ? getAlignAnchorY(state.focalPoints[i]) : 0.5));
+  const validRanges = band
+    .map((i, k) => aligned[k] && { lower: height - (1 - anchors[k]) * drawHs[k], upper: anchors[k] * drawHs[k] })
+    .filter(Boolean);
+
+  let targetY = null;
+  if (!matchLine) {
+    targetY = 0.5 * height;
+  } else if (lockLine) {
+    targetY = line * height;
+  } else if (validRanges.length > 1) {
+    const preferred = line * height;
+    const commonLower = Math.max(...validRanges.map(r => r.lower));
+    const commonUpper = Math.min(...validRanges.map(r => r.upper));
+    // Use intersection if it exists; otherwise aim for preferred Y anyway —
+    // each panel will clamp independently, which is still better than panY=0.
+    targetY = (commonLower <= commonUpper)
+      ? Math.min(commonUpper, Math.max(commonLower, preferred))
+      : preferred;
+  }
+
+  // getPanelPlacement puts the focal point at targetFocalY; pan the rest of
+  // the way so the anchor lands on the target
+  band.forEach((i, k) => {
+    const focalY = state.focalPoints[i]?.y ?? 0.5;
+    adjs[i] = {
+      ...DEFAULT_ADJUSTMENT,
+      panY: targetY != null && aligned[k]
+        ? targetY - state.targetFocalY * height - (anchors[k] - focalY) * drawHs[k]
+        : 0,
+      scale: scales[k],
+    };
+  });
+  return targetY != null ? targetY / height : null;
+}
+
+// Where a band's guide sits: the chosen line when it's held, otherwise where
+// alignment could actually put the eyes (or head tops) for these photos
+function getBandLine(band, slots) {
+  const { line, lockLine } = state.alignment;
+  if (lockLine) return line;
+  return alignBand(band, slots, []) ?? line;
+}
+
+// ── Alignment controls ────────────────────────────────────────────────────────
+
+function renderAlignControls() {
+  const { strategy, equaliseSize, line, lockLine } = state.alignment;
+  if (!alignStrategy.options.length) {
+    ALIGN_STRATEGIES.forEach((s) => alignStrategy.appendChild(new Option(s.label, s.id)));
+  }
+  alignStrategy.value = strategy;
+  alignEqualise.checked = equaliseSize;
+  alignEqualise.disabled = strategy === "off";
+  // Centre and off have no line to move
+  const hasLine = strategy === "eyes" || strategy === "head";
+  alignLockLine.checked = lockLine;
+  alignLockLine.disabled = !hasLine;
+  alignLine.disabled = !hasLine;
+  alignLine.value = String(Math.round(line * 100));
+  document.getElementById("align-line-value").textContent = hasLine ? `${Math.round(line * 100)}%` : "—";
+  document.querySelectorAll(".canvas-align-guide").forEach((g) => {
+    g.hidden = !hasLine;
+    g.classList.toggle("locked", lockLine);
+  });
+}
+
+// Re-run auto-alignment with new settings. This re-frames every panel, so
+// it's an undoable edit; callers commit it (sliders and guide drags when
+// they're released). Only the vertical pan and zoom that alignment sets are
+// replaced — sideways pan and rotation are left as they were. `formats`
+// limits the re-frame to some formats (the one under a guide drag).
+function setAlignment(changes, formats = state.outputFormats.map((_, fi) => fi)) {
+  if (state.composited) beginEdit();
+  if (changes.strategy && changes.strategy !== state.alignment.strategy) {
+    const { line } = ALIGN_STRATEGIES.find((s) => s.id === changes.strategy);
+    changes = { line: line ?? state.alignment.line, lockLine: false, ...changes };
+  }
+  state.alignment = { ...state.alignment, ...changes };
+  renderAlignControls();
+  if (!state.composited) return;
+  state.targetFocalY = getTargetFocalY();
+  formats.forEach((fi) => {
+    const fmt = state.outputFormats[fi];
+    const aligned = autoAlignFormat(fmt);
+    state.adjustments[fi].forEach((adj, i) => Object.assign(adj, { panY: aligned[i].panY, scale: aligned[i].scale }));
+    const overlay = state.canvasEls[fi]?.closest(".canvas-entry")?.querySelector(".canvas-overlay");
+    if (overlay) positionOverlay(overlay, fmt);
+    for (let i = 0; i < state.selectedLayout.photoCount; i++) syncPanelControls(fi, i);
+    renderForFormat(fi, fmt);
+  });
+}
+
+// Drag the guide to set the line; it's held where it's dropped
+// While dragging, only the format under the pointer is re-framed, at most
+// once a frame; the others catch up when the guide is dropped (endAlignGuide).
+let guideFrame = null;
+let guideLine  = null;
+
+function moveAlignGuide(fi, bandIndex, py) {
+  const slots = getFormatSlots(state.outputFormats[fi]);
+  const slot  = slots[groupSlotsByBand(slots)[bandIndex][0]];
+  const line  = Math.min(ALIGN_LINE_MAX, Math.max(ALIGN_LINE_MIN, (py - slot.y) / slot.h));
+  guideLine = Math.round(line * 100) / 100;
+  if (guideFrame) return;
+  guideFrame = requestAnimationFrame(() => {
+    guideFrame = null;
+    setAlignment({ line: guideLine, lockLine: true }, [fi]);
+  });
+}
+
+function endAlignGuide() {
+  cancelAnimationFrame(guideFrame);
+  guideFrame = null;
+  if (guideLine == null) return;
+  setAlignment({ line: guideLine, lockLine: true });
+  guideLine = null;
+}
+
 // ── Build canvas entry elements ───────────────────────────────────────────────
 
 function buildCanvasEntries() {
+  // Rebuilding (swaps, undo, format changes) shouldn't lose keyboard focus
+  const focused = document.activeElement?.closest?.(".canvas-overlay-panel");
+  const refocus = focused && { fi: Number(focused.dataset.format), i: Number(focused.dataset.panel) };
+
   // Remove any existing canvas entries
   canvasArea.querySelectorAll(".canvas-entry").forEach((el) => el.remove());
   state.canvasEls = [];
 
-  OUTPUT_FORMATS.forEach((fmt, fi) => {
+  state.outputFormats.forEach((fmt, fi) => {
     const entry = document.createElement("div");
     entry.className = "canvas-entry";
 
@@ -497,13 +1878,18 @@ function buildCanvasEntries() {
     labelEl.className = "canvas-entry-label";
     labelEl.textContent = `${fmt.label} — ${fmt.width} × ${fmt.height} px`;
 
+    const estimateEl = Object.assign(document.createElement("span"), { className: "export-estimate" });
+
     const dlBtn = document.createElement("button");
     dlBtn.className = "btn-download-single";
     dlBtn.textContent = `↓ ${fmt.label}`;
     dlBtn.addEventListener("click", () => downloadOne(fi));
 
+    const headerEnd = Object.assign(document.createElement("div"), { className: "canvas-entry-actions" });
+    if (state.outputFormats.length > 1) headerEnd.appendChild(buildCopyFramingSelect(fi));
+    headerEnd.append(estimateEl, dlBtn);
     header.appendChild(labelEl);
-    header.appendChild(dlBtn);
+    header.appendChild(headerEnd);
 
     // Canvas
     const canvas = document.createElement("canvas");
@@ -512,218 +1898,800 @@ function buildCanvasEntries() {
     attachCanvasDrag(canvas, fi);
 
     // Swap arrow overlay (pointer-events: none so drag still works;
-    // only the arrow buttons themselves are pointer-events: auto)
+    // only the arrow buttons and divider handles are pointer-events: auto)
     const wrapper = document.createElement("div");
     wrapper.className = "canvas-wrapper";
     wrapper.appendChild(canvas);
 
-    const count = state.selectedLayout.photoCount;
-    if (count > 1) {
-      const overlay = document.createElement("div");
-      overlay.className = "canvas-overlay";
-
-      for (let i = 0; i < count; i++) {
-        if (i > 0) {
-          const divider = document.createElement("div");
-          divider.className = "canvas-overlay-divider";
-          overlay.appendChild(divider);
-        }
-        const panel = document.createElement("div");
-        panel.className = "canvas-overlay-panel";
-
-        const svgArrow = (dir) => `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${
-          dir === 'left'
-            ? '<line x1="19" y1="12" x2="5" y2="12"/><polyline points="12,19 5,12 12,5"/>'
-            : '<line x1="5" y1="12" x2="19" y2="12"/><polyline points="12,5 19,12 12,19"/>'
-        }</svg>`;
-
-        if (i > 0) {
-          const btn = document.createElement("button");
-          btn.className = "canvas-swap-arrow";
-          btn.innerHTML = svgArrow('left');
-          btn.title = `Swap photos ${i} & ${i + 1}`;
-          btn.addEventListener("click", () => swapImages(i, i - 1));
-          panel.appendChild(btn);
-        }
-        if (i < count - 1) {
-          const btn = document.createElement("button");
-          btn.className = "canvas-swap-arrow";
-          btn.innerHTML = svgArrow('right');
-          btn.title = `Swap photos ${i + 1} & ${i + 2}`;
-          btn.addEventListener("click", () => swapImages(i, i + 1));
-          panel.appendChild(btn);
-        }
-        overlay.appendChild(panel);
-      }
-      wrapper.appendChild(overlay);
-    }
+    // Panels in the overlay take keyboard focus for editing; the overlay
+    // itself is pointer-events: none so dragging reaches the canvas
+    const { slots, dividers } = getFormatLayout(fmt);
+    const overlay = document.createElement("div");
+    overlay.className = "canvas-overlay";
+
+    const svgArrow = (dir) => `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${SWAP_ARROW_PATHS[dir]}</svg>`;
+
+    slots.forEach((slot, i) => {
+      const panel = document.createElement("div");
+      panel.className = "canvas-overlay-panel";
+      panel.tabIndex = 0;
+      panel.setAttribute("role", "group");
+      panel.dataset.format = fi;
+      panel.dataset.panel = i;
+      panel.setAttribute("aria-label", describePanel(fi, i));
+      panel.addEventListener("keydown", (e) => handlePanelKey(e, fi, i));
+      // Holding a key down is one history entry
+      panel.addEventListener("keyup", commitEdit);
+
+      ["left", "up", "down", "right"].forEach((dir) => {
+        const j = getNeighbourSlot(slots, i, dir);
+        if (j < 0) return;
+        const btn = document.createElement("button");
+        btn.className = "canvas-swap-arrow";
+        btn.innerHTML = svgArrow(dir);
+        btn.title = `Swap photos ${i + 1} & ${j + 1}`;
+        btn.setAttribute("aria-label", btn.title);
+        btn.addEventListener("click", () => swapImages(i, j));
+        panel.appendChild(btn);
+      });
+      overlay.appendChild(panel);
+    });
+
+    dividers.forEach((d) => {
+      const handle = document.createElement("div");
+      handle.className = `canvas-overlay-divider divider-${d.dir}`;
+      handle.title = "Drag to resize panels";
+      handle.addEventListener("pointerdown", (e) => {
+        state.dividerDrag = { canvas, formatIndex: fi, split: d.split, boundary: d.boundary, pointerId: e.pointerId };
+        beginEdit();
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      overlay.appendChild(handle);
+    });
+
+    // One guide per band of panels, showing where eyes (or head tops) land
+    groupSlotsByBand(slots).forEach((band, bi) => {
+      const guide = Object.assign(document.createElement("div"), {
+        className: "canvas-align-guide", title: "Alignment line — drag to move",
+      });
+      guide.addEventListener("pointerdown", (e) => {
+        state.guideDrag = { canvas, formatIndex: fi, band: bi, pointerId: e.pointerId };
+        beginEdit();
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      overlay.appendChild(guide);
+    });
+
+    wrapper.appendChild(overlay);
+    positionOverlay(overlay, fmt);
 
     // Per-canvas adjustment controls
     const adjsEl = buildAdjControls(fi);
 
     entry.appendChild(header);
+    entry.appendChild(buildExportSettings(fi));
     entry.appendChild(wrapper);
     entry.appendChild(adjsEl);
     canvasArea.appendChild(entry);
     state.canvasEls.push(canvas);
   });
+
+  if (refocus) getOverlayPanel(refocus.fi, refocus.i)?.focus({ preventScroll: true });
+}
+
+// Position overlay panels and divider handles as percentages of the format
+// so they track the canvas as it scales with the page (and as dividers move)
+function positionOverlay(overlay, fmt) {
+  const { slots, dividers } = getFormatLayout(fmt);
+  const pct = (v, total) => `${(v / total) * 100}%`;
+  overlay.querySelectorAll(".canvas-overlay-panel").forEach((panel, i) => {
+    const { cell } = slots[i];
+    Object.assign(panel.style, {
+      left: pct(cell.x, fmt.width), top: pct(cell.y, fmt.height),
+      width: pct(cell.w, fmt.width), height: pct(cell.h, fmt.height),
+    });
+  });
+  // Handles are centred on the divider line and rotated to its angle, with
+  // the length stretched so a tilted line still reaches the split's edges.
+  // Their grab width is set in CSS.
+  const { strategy, lockLine } = state.alignment;
+  const bands = groupSlotsByBand(slots);
+  overlay.querySelectorAll(".canvas-align-guide").forEach((guide, bi) => {
+    const band = bands[bi].map((i) => slots[i]);
+    const left = Math.min(...band.map((s) => s.x));
+    const right = Math.max(...band.map((s) => s.x + s.w));
+    Object.assign(guide.style, {
+      left: pct(left, fmt.width), width: pct(right - left, fmt.width),
+      top: pct(band[0].y + getBandLine(bands[bi], slots) * band[0].h, fmt.height),
+    });
+    guide.hidden = strategy !== "eyes" && strategy !== "head";
+    guide.classList.toggle("locked", lockLine);
+  });
+  const { angle } = state.divider;
+  const stretch = 1 / Math.cos((angle * Math.PI) / 180);
+  overlay.querySelectorAll(".canvas-overlay-divider").forEach((handle, di) => {
+    const d = dividers[di];
+    Object.assign(handle.style, {
+      left: pct(d.cx, fmt.width),
+      top:  pct(d.cy, fmt.height),
+      transform: `translate(-50%, -50%) rotate(${angle}deg)`,
+      ...(d.dir === "row"
+        ? { height: pct(d.h * stretch, fmt.height) }
+        : { width:  pct(d.w * stretch, fmt.width) }),
+    });
+  });
+}
+
+// Move one divider of a format's split so its line passes through canvas
+// point (px, py), snapping to thirds and halves of the split.
+function moveDivider(fi, split, boundary, px, py) {
+  const fmt = state.outputFormats[fi];
+  const d = getFormatLayout(fmt).dividers.find((v) => v.split === split && v.boundary === boundary);
+  if (!d) return;
+
+  // Slide along the (possibly tilted) divider line back to the centre of the
+  // split, so pos is where the line crosses the split's axis
+  const tan = Math.tan((state.divider.angle * Math.PI) / 180);
+  const pos = d.dir === "row" ? px + (py - d.cy) * tan : py + (d.cx - px) * tan;
+
+  const ratios  = fmt.splitRatios[split]?.slice() ?? equalRatios(getLayoutSplits(state.selectedLayout)[split].count);
+  const n       = ratios.length;
+  const divW    = getDividerGap();
+  const available = d.extent - divW * (n - 1);
+
+  let t = (pos - d.start) / d.extent;
+  const snap = SNAP_POINTS.find((p) => Math.abs(p - t) < SNAP_DISTANCE);
+  if (snap != null) t = snap;
+
+  // Convert the divider centre into the cumulative fraction of panel space
+  // before it, then keep both neighbouring panels above the minimum share.
+  const before = ratios.slice(0, boundary).reduce((a, v) => a + v, 0);
+  const after  = before + ratios[boundary] + ratios[boundary + 1];
+  let f = (t * d.extent - divW * boundary - divW / 2) / available;
+  f = Math.max(before + MIN_SPLIT_RATIO, Math.min(after - MIN_SPLIT_RATIO, f));
+
+  ratios[boundary]     = f - before;
+  ratios[boundary + 1] = after - f;
+  setSplitRatios(fi, split, ratios);
+}
+
+function setSplitRatios(fi, split, ratios) {
+  const fmt = state.outputFormats[fi];
+  fmt.splitRatios = fmt.splitRatios.slice();
+  fmt.splitRatios[split] = ratios;
+
+  const entry = state.canvasEls[fi]?.closest(".canvas-entry");
+  const overlay = entry?.querySelector(".canvas-overlay");
+  if (overlay) positionOverlay(overlay, fmt);
+  const field = entry?.querySelector(`.split-ratio-input[data-split="${split}"]`);
+  if (field && document.activeElement !== field) field.value = formatRatios(ratios);
+  renderForFormat(fi, fmt);
+}
+
+function formatRatios(ratios) {
+  return ratios.map((r) => Math.round(r * 100)).join(":");
+}
+
+// "60:40", "3/2", "1 1 2" → normalised fractions, or null if invalid
+function parseRatios(text, count) {
+  const parts = String(text).split(/[:/,\s]+/).filter(Boolean).map(Number);
+  if (parts.length !== count || parts.some((v) => !(v > 0))) return null;
+  const total = parts.reduce((a, v) => a + v, 0);
+  const ratios = parts.map((v) => v / total);
+  return ratios.every((r) => r >= MIN_SPLIT_RATIO) ? ratios : null;
 }
 
 // ── Render all canvases ───────────────────────────────────────────────────────
 
 function renderAllCanvases() {
-  OUTPUT_FORMATS.forEach((fmt, fi) => renderForFormat(fi, fmt));
+  state.outputFormats.forEach((fmt, fi) => renderForFormat(fi, fmt));
 }
 
+// Previews are drawn from the downscaled proxies, so dragging stays smooth
+// with large originals; exports redraw from the originals (renderExportCanvas)
 function renderForFormat(fi, fmt) {
   const canvas = state.canvasEls[fi];
   if (!canvas) return;
 
-  const { width, height } = fmt;
-  const { width: divW, color: divColor } = DIVIDER;
-  const count = state.selectedLayout.photoCount;
-  const slotW = Math.floor((width - divW * (count - 1)) / count);
+  const ctx   = canvas.getContext("2d");
+  const slots = drawComposite(ctx, fi, fmt, getPreviewSource);
+  if (state.showGrid) drawGrid(ctx, slots);
 
-  const ctx = canvas.getContext("2d");
+  exportCache.delete(canvas);
+  estimateCache.delete(canvas);
+  scheduleSizeEstimate(fi);
+  updateResolutionBadges(fi);
+}
 
-  // Fill background with divider color — eliminates any sub-pixel gaps
-  ctx.fillStyle = divColor;
-  ctx.fillRect(0, 0, width, height);
+function drawComposite(ctx, fi, fmt, getSource) {
+  const slots = getFormatSlots(fmt);
 
-  let x = 0;
-  for (let i = 0; i < count; i++) {
-    if (i > 0) x += divW;
-    // Last panel takes any remaining pixels to avoid sub-pixel gaps on the right edge
-    const panelW = i === count - 1 ? width - x : slotW;
-    drawPanel(ctx, state.imageEls[i], x, 0, panelW, height, i, state.adjustments[fi][i]);
-    x += panelW;
-  }
+  // Fill background with divider color — this is what shows in the gaps
+  // between panel regions, and eliminates any sub-pixel seams
+  ctx.fillStyle = state.divider.color;
+  ctx.fillRect(0, 0, fmt.width, fmt.height);
+
+  slots.forEach((slot, i) => {
+    drawPanel(ctx, getSource(i), slot, i, state.adjustments[fi][i]);
+  });
+  return slots;
+}
 
-  if (state.showGrid) drawGrid(ctx, width, height, count, slotW, divW);
+function getPreviewSource(index) {
+  return state.images[index]?.proxy ?? state.imageEls[index];
 }
 
-function drawGrid(ctx, width, height, count, slotW, divW) {
+// Rule-of-thirds lines within each panel individually
+function drawGrid(ctx, slots) {
   ctx.save();
   ctx.strokeStyle = "rgba(255,255,255,0.85)";
   ctx.lineWidth = 4;
   ctx.setLineDash([]);
 
-  // Horizontal lines span full canvas at 1/3 and 2/3 height
-  [1/3, 2/3].forEach(t => {
-    ctx.beginPath(); ctx.moveTo(0, height * t); ctx.lineTo(width, height * t); ctx.stroke();
-  });
-
-  // Vertical lines at 1/3 and 2/3 within each panel individually
-  let x = 0;
-  for (let i = 0; i < count; i++) {
-    if (i > 0) x += divW;
+  slots.forEach((slot) => {
+    const { x, y, w, h } = slot;
+    ctx.save();
+    clipToSlot(ctx, slot);
     [1/3, 2/3].forEach(t => {
-      ctx.beginPath(); ctx.moveTo(x + slotW * t, 0); ctx.lineTo(x + slotW * t, height); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(x, y + h * t); ctx.lineTo(x + w, y + h * t); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(x + w * t, y); ctx.lineTo(x + w * t, y + h); ctx.stroke();
     });
-    x += slotW;
-  }
+    ctx.restore();
+  });
 
   ctx.restore();
 }
 
 // ── Draw one panel ────────────────────────────────────────────────────────────
 
-function drawPanel(ctx, img, x, y, w, h, index, adj) {
+// Panels are drawn into their slot's bounding box and clipped to its region.
+// With a feathered divider, the later panel of each pair is faded in across
+// the overlap through an alpha mask, so it crossfades over the earlier one.
+// Harmonising and tone adjustments are applied to the drawn pixels on the
+// scratch canvas, so the preview and the export get the same result.
+// `source` is the photo's proxy or its original; either way it's placed by
+// the original's size, so both land in exactly the same spot.
+function drawPanel(ctx, source, slot, index, adj) {
+  const { x, y, w, h } = slot;
+  const { feather } = state.divider;
+  const fades = feather > 0 ? slot.edges.filter((e) => e.side > 0) : [];
+  const tone  = getPanelTone(index);
+
   ctx.save();
+  clipToSlot(ctx, slot);
+
+  if (!fades.length && !tone) {
+    drawPanelImage(ctx, source, x, y, w, h, index, adj);
+    ctx.restore();
+    return;
+  }
+
+  const { canvas: off, ctx: octx } = getScratchCanvas(w, h);
+  octx.save();
+  octx.clearRect(0, 0, w, h);
+  octx.translate(-x, -y);
+  drawPanelImage(octx, source, x, y, w, h, index, adj);
+  if (tone) applyPanelTone(octx, w, h, tone);
+  octx.globalCompositeOperation = "destination-in";
+  fades.forEach((e) => {
+    const grad = octx.createLinearGradient(
+      e.cx - e.nx * feather / 2, e.cy - e.ny * feather / 2,
+      e.cx + e.nx * feather / 2, e.cy + e.ny * feather / 2,
+    );
+    grad.addColorStop(0, "rgba(0,0,0,0)");
+    grad.addColorStop(1, "rgba(0,0,0,1)");
+    octx.fillStyle = grad;
+    octx.fillRect(x, y, w, h);
+  });
+  octx.restore();
+
+  ctx.drawImage(off, 0, 0, w, h, x, y, w, h);
+  ctx.restore();
+}
+
+function clipToSlot(ctx, slot) {
   ctx.beginPath();
-  ctx.rect(x, y, w, h);
+  slot.poly.forEach(([px, py], k) => (k ? ctx.lineTo(px, py) : ctx.moveTo(px, py)));
+  ctx.closePath();
   ctx.clip();
+}
+
+// One reusable offscreen canvas for feathered and toned panels, grown as
+// needed. Its context is created here, once, so the read-back hint applies —
+// getContext ignores options on every call after the first.
+let scratch = null;
+
+function getScratchCanvas(w, h) {
+  if (!scratch) {
+    const canvas = document.createElement("canvas");
+    scratch = { canvas, ctx: canvas.getContext("2d", { willReadFrequently: true }) };
+  }
+  if (scratch.canvas.width  < w) scratch.canvas.width  = w;
+  if (scratch.canvas.height < h) scratch.canvas.height = h;
+  return scratch;
+}
+
+// Where a panel's image sits. The image is cover-fitted to the panel's box —
+// the w×h slot bounds, or their rotated bounding box when the panel is
+// rotated. The slot's corners touch every side of that box, so keeping the
+// box covered is exactly what keeps the corners filled at any angle. The image
+// is positioned from the focal point (mirrored with any flip) and the user's
+// pan and zoom. Offsets are the image's top-left corner inside that box.
+function getPanelPlacement(img, w, h, index, adj) {
+  const face  = getFramingFocal(index);
+  const { flipX, flipY } = getPhotoAdjustment(index);
+  const focal = {
+    x: flipX ? 1 - face.x : face.x,
+    y: flipY ? 1 - face.y : face.y,
+  };
 
-  const focal = state.focalPoints[index] ?? { x: 0.5, y: 0.5 };
+  const theta = ((adj.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(theta)), sin = Math.abs(Math.sin(theta));
+  const boxW = w * cos + h * sin;
+  const boxH = w * sin + h * cos;
 
-  const baseScale   = Math.max(w / img.width, h / img.height);
+  const baseScale   = Math.max(boxW / img.width, boxH / img.height);
   const effectScale = baseScale * adj.scale;
   const drawW       = img.width  * effectScale;
   const drawH       = img.height * effectScale;
 
-  // Auto-position from focal point
-  let offsetX = 0.5 * w            - focal.x * drawW;
-  let offsetY = state.targetFocalY * h - focal.y * drawH;
+  // Auto-position from focal point — the eye line target is measured in the
+  // panel, then carried into the (centred) rotated box
+  const autoX = 0.5 * boxW - focal.x * drawW;
+  const autoY = (boxH - h) / 2 + state.targetFocalY * h - focal.y * drawH;
+
+  // Apply user pan, clamped so the image always covers the box
+  const minOffX = boxW - drawW; // ≤ 0 (image must cover right edge)
+  const minOffY = boxH - drawH; // ≤ 0
+  return {
+    theta, boxW, boxH, drawW, drawH, autoX, autoY, minOffX, minOffY,
+    offsetX: Math.min(0, Math.max(minOffX, autoX + adj.panX)),
+    offsetY: Math.min(0, Math.max(minOffY, autoY + adj.panY)),
+  };
+}
 
-  // Apply user pan — clamp BEFORE adding so pan is measured from valid range
-  const minOffX = w - drawW; // ≤ 0 (image must cover right edge)
-  const minOffY = h - drawH; // ≤ 0
-  offsetX = Math.min(0, Math.max(minOffX, offsetX + adj.panX));
-  offsetY = Math.min(0, Math.max(minOffY, offsetY + adj.panY));
+function drawPanelImage(ctx, source, x, y, w, h, index, adj) {
+  const { theta, boxW, boxH, drawW, drawH, offsetX, offsetY } =
+    getPanelPlacement(state.imageEls[index], w, h, index, adj);
 
-  ctx.drawImage(img, x + offsetX, y + offsetY, drawW, drawH);
+  const { flipX, flipY } = getPhotoAdjustment(index);
+  if (!theta && !flipX && !flipY) {
+    ctx.drawImage(source, x + offsetX, y + offsetY, drawW, drawH);
+    return;
+  }
+  // Rotate about the panel centre, then flip about the image's own centre
+  ctx.save();
+  ctx.translate(x + w / 2, y + h / 2);
+  ctx.rotate(theta);
+  ctx.translate(offsetX - boxW / 2 + drawW / 2, offsetY - boxH / 2 + drawH / 2);
+  ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+  ctx.drawImage(source, -drawW / 2, -drawH / 2, drawW, drawH);
   ctx.restore();
 }
 
-// ── Canvas drag interaction ───────────────────────────────────────────────────
+// Move a panel's image by (dx, dy) canvas pixels. Pan is measured in the
+// panel's rotated box, so the delta is turned into that frame first.
+function panPanelBy(adj, dx, dy) {
+  const theta = ((adj.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(theta), sin = Math.sin(theta);
+  adj.panX += dx * cos + dy * sin;
+  adj.panY += -dx * sin + dy * cos;
+}
 
-function getPanelIndex(cssX, canvas, formatWidth) {
-  const rect    = canvas.getBoundingClientRect();
-  const scale   = formatWidth / rect.width;
-  const cx      = cssX * scale;
-  const count   = state.selectedLayout.photoCount;
-  const slotW   = Math.floor((formatWidth - DIVIDER.width * (count - 1)) / count);
+// Rotate a panel about its centre. The cover range changes with the angle, so
+// the pan is re-clamped rather than left pointing past the image edge.
+function rotatePanelTo(fi, index, degrees) {
+  const adj = state.adjustments[fi][index];
+  adj.rotation = ((((degrees + 180) % 360) + 360) % 360) - 180;
+  clampPanelPan(fi, index);
+}
 
-  let cursor = 0;
-  for (let i = 0; i < count; i++) {
-    if (i > 0) cursor += DIVIDER.width;
-    if (cx >= cursor && cx < cursor + slotW) return i;
-    cursor += slotW;
-  }
-  return -1;
+function resetPanelFrame(adj) {
+  Object.assign(adj, { panX: 0, panY: 0, scale: 1.0, rotation: 0 });
 }
 
-function attachCanvasDrag(canvas, formatIndex) {
-  const fmt = OUTPUT_FORMATS[formatIndex];
+function getPhotoAdjustment(index) {
+  return state.photoAdjustments[index] ?? DEFAULT_PHOTO_ADJUSTMENT;
+}
 
-  canvas.addEventListener("mousedown", (e) => {
+// Mirror a photo in every format. Callers record the history entry.
+function togglePhotoFlip(index, key) {
+  const photo = state.photoAdjustments[index];
+  photo[key] = !photo[key];
+  state.outputFormats.forEach((fmt, fi) => {
+    renderForFormat(fi, fmt);
+    syncPanelControls(fi, index);
+  });
+}
+
+// ── Framing across formats ────────────────────────────────────────────────────
+
+// What a panel shows, independent of its slot size: the image point at the
+// panel centre (as a fraction of the drawn image) and the size of the visible
+// region in image pixels, plus the rotation.
+function getPanelView(fi, index) {
+  const slot = getFormatSlots(state.outputFormats[fi])[index];
+  const img  = state.imageEls[index];
+  const adj  = state.adjustments[fi][index];
+  const p    = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  const toImage = img.width / p.drawW;
+  return {
+    u: (p.boxW / 2 - p.offsetX) / p.drawW,
+    v: (p.boxH / 2 - p.offsetY) / p.drawH,
+    regionW: slot.w * toImage,
+    regionH: slot.h * toImage,
+    rotation: adj.rotation,
+  };
+}
+
+// Frame a panel to show another format's view. Slot shapes differ, so the
+// view's region is fitted inside this slot (zooming no further in than needed
+// to cover it) and centred on the same image point.
+function applyPanelView(fi, index, view) {
+  const slot = getFormatSlots(state.outputFormats[fi])[index];
+  const img  = state.imageEls[index];
+  const adj  = state.adjustments[fi][index];
+  Object.assign(adj, { rotation: view.rotation, scale: 1.0 });
+
+  const cover = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  const fit   = Math.min(slot.w / view.regionW, slot.h / view.regionH) * img.width / cover.drawW;
+  adj.scale = Math.min(state.maxZoom, Math.max(MIN_ZOOM, fit));
+
+  const p = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  adj.panX = Math.min(0, Math.max(p.minOffX, p.boxW / 2 - view.u * p.drawW)) - p.autoX;
+  adj.panY = Math.min(0, Math.max(p.minOffY, p.boxH / 2 - view.v * p.drawH)) - p.autoY;
+}
+
+// Re-render after a framing edit to one panel, carrying it to the other
+// formats when they're linked
+function renderPanelFraming(fi, index) {
+  const targets = state.linkFormats ? state.outputFormats.map((_, fj) => fj) : [fi];
+  const view = getPanelView(fi, index);
+  targets.forEach((fj) => {
+    if (fj !== fi) applyPanelView(fj, index, view);
+    renderForFormat(fj, state.outputFormats[fj]);
+    syncPanelControls(fj, index);
+  });
+}
+
+// Frame every panel of one format like another, as one undoable edit
+function copyFraming(fromFi, toFi) {
+  beginEdit();
+  for (let i = 0; i < state.selectedLayout.photoCount; i++) {
+    applyPanelView(toFi, i, getPanelView(fromFi, i));
+    syncPanelControls(toFi, i);
+  }
+  renderForFormat(toFi, state.outputFormats[toFi]);
+  commitEdit();
+}
+
+function buildCopyFramingSelect(fi) {
+  const select = Object.assign(document.createElement("select"), {
+    className: "copy-framing", title: "Copy pan, zoom and rotation from another format",
+  });
+  select.appendChild(new Option("Copy framing from…", ""));
+  state.outputFormats.forEach((f, fj) => {
+    if (fj !== fi) select.appendChild(new Option(f.label, String(fj)));
+  });
+  select.addEventListener("change", () => {
+    if (select.value) copyFraming(Number(select.value), fi);
+    select.value = "";
+  });
+  return select;
+}
+
+// Change one panel's zoom while keeping the image point under (px, py) — in
+// canvas pixels — in place. Pan is re-clamped to the new cover range so it
+// never builds up slack beyond the image edges.
+function zoomPanelAt(fi, index, scale, px, py) {
+  const slot = getFormatSlots(state.outputFormats[fi])[index];
+  const img  = state.imageEls[index];
+  const adj  = state.adjustments[fi][index];
+  if (!slot || !img) return;
+
+  const before = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  // Canvas point → the panel's (possibly rotated) box
+  const dx = px - (slot.x + slot.w / 2), dy = py - (slot.y + slot.h / 2);
+  const cos = Math.cos(before.theta), sin = Math.sin(before.theta);
+  const bx = dx * cos + dy * sin + before.boxW / 2;
+  const by = -dx * sin + dy * cos + before.boxH / 2;
+  const u = (bx - before.offsetX) / before.drawW;
+  const v = (by - before.offsetY) / before.drawH;
+
+  adj.scale = Math.min(state.maxZoom, Math.max(MIN_ZOOM, scale));
+  const after = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  adj.panX = Math.min(0, Math.max(after.minOffX, bx - u * after.drawW)) - after.autoX;
+  adj.panY = Math.min(0, Math.max(after.minOffY, by - v * after.drawH)) - after.autoY;
+}
+
+// ── Canvas drag interaction ───────────────────────────────────────────────────
+
+function getPanelIndex(cssX, cssY, canvas, fmt) {
+  const rect  = canvas.getBoundingClientRect();
+  const scale = fmt.width / rect.width;
+  const cx    = cssX * scale;
+  const cy    = cssY * scale;
+  return getFormatSlots(fmt).findIndex((s) => isPointInSlot(s, cx, cy));
+}
+
+// Pointer events cover mouse, pen and touch alike: one pointer pans the
+// panel under it, a second pointer on the same canvas turns the gesture into
+// a pinch that zooms that panel around the midpoint of the two.
+function attachCanvasDrag(canvas, formatIndex) {
+  const fmt = state.outputFormats[formatIndex];
+
+  canvas.addEventListener("pointerdown", (e) => {
     if (!state.composited) return;
+    const point = { x: e.clientX, y: e.clientY };
+
+    if (state.drag?.canvas === canvas) {
+      if (state.drag.pointers.size < 2) state.drag.pointers.set(e.pointerId, point);
+      e.preventDefault();
+      return;
+    }
+    // One drag at a time — a finger landing on another canvas mid-drag is ignored
+    if (state.drag) return;
+
     const rect = canvas.getBoundingClientRect();
-    const panelIndex = getPanelIndex(e.clientX - rect.left, canvas, fmt.width);
+    const panelIndex = getPanelIndex(e.clientX - rect.left, e.clientY - rect.top, canvas, fmt);
     if (panelIndex < 0) return;
 
-    const adj = state.adjustments[formatIndex][panelIndex];
-    state.drag = {
-      canvas,
-      formatIndex,
-      formatWidth: fmt.width,
-      panelIndex,
-      startMouseX: e.clientX,
-      startMouseY: e.clientY,
-      startPanX: adj.panX,
-      startPanY: adj.panY,
-    };
+    state.drag = { canvas, formatIndex, panelIndex, pointers: new Map([[e.pointerId, point]]) };
     canvas.classList.add("dragging");
+    // Clicking a panel selects it for keyboard editing
+    getOverlayPanel(formatIndex, panelIndex)?.focus({ preventScroll: true });
+    beginEdit();
     e.preventDefault();
   });
+
+  // Wheel and trackpad zoom, centred on the cursor. A burst of wheel events
+  // is one history entry, committed once the wheel goes quiet. Plain
+  // scrolling only zooms the selected panel, so the page still scrolls past
+  // the previews; Ctrl/⌘ (which trackpad pinches send too) zooms any panel.
+  let wheelCommitTimer = null;
+  canvas.addEventListener("wheel", (e) => {
+    if (!state.composited) return;
+    const rect = canvas.getBoundingClientRect();
+    const panelIndex = getPanelIndex(e.clientX - rect.left, e.clientY - rect.top, canvas, fmt);
+    if (panelIndex < 0) return;
+    const selected = document.activeElement === getOverlayPanel(formatIndex, panelIndex);
+    if (!selected && !e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+
+    const cssToCanvas = fmt.width / rect.width;
+    // Line-mode deltas (some mice) are ~16× smaller than pixel deltas
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const adj = state.adjustments[formatIndex][panelIndex];
+    beginEdit();
+    zoomPanelAt(formatIndex, panelIndex, adj.scale * Math.exp(-delta * WHEEL_ZOOM_SPEED),
+      (e.clientX - rect.left) * cssToCanvas, (e.clientY - rect.top) * cssToCanvas);
+    renderPanelFraming(formatIndex, panelIndex);
+    clearTimeout(wheelCommitTimer);
+    wheelCommitTimer = setTimeout(commitEdit, WHEEL_COMMIT_DELAY_MS);
+  }, { passive: false });
+}
+
+// Centre and spread of the active pointers, in canvas pixels
+function getPointerSpread(pointers, rect, cssToCanvas) {
+  const pts = [...pointers.values()];
+  const cx = pts.reduce((sum, p) => sum + p.x, 0) / pts.length;
+  const cy = pts.reduce((sum, p) => sum + p.y, 0) / pts.length;
+  const dist = pts.length > 1 ? Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y) : 0;
+  return {
+    x: (cx - rect.left) * cssToCanvas,
+    y: (cy - rect.top) * cssToCanvas,
+    dist: dist * cssToCanvas,
+  };
 }
 
-window.addEventListener("mousemove", (e) => {
-  if (!state.drag) return;
-  const { canvas, formatIndex, formatWidth, panelIndex, startMouseX, startMouseY, startPanX, startPanY } = state.drag;
+window.addEventListener("pointermove", (e) => {
+  if (state.guideDrag) {
+    if (e.pointerId !== state.guideDrag.pointerId) return;
+    const { canvas, formatIndex, band } = state.guideDrag;
+    const rect = canvas.getBoundingClientRect();
+    moveAlignGuide(formatIndex, band, (e.clientY - rect.top) * (state.outputFormats[formatIndex].width / rect.width));
+    return;
+  }
+  if (state.dividerDrag) {
+    if (e.pointerId !== state.dividerDrag.pointerId) return;
+    const { canvas, formatIndex, split, boundary } = state.dividerDrag;
+    const fmt  = state.outputFormats[formatIndex];
+    const rect = canvas.getBoundingClientRect();
+    const cssToCanvas = fmt.width / rect.width;
+    moveDivider(formatIndex, split, boundary,
+      (e.clientX - rect.left) * cssToCanvas, (e.clientY - rect.top) * cssToCanvas);
+    return;
+  }
+  const drag = state.drag;
+  if (!drag?.pointers.has(e.pointerId)) return;
+  const { canvas, formatIndex, panelIndex, pointers } = drag;
+  const fmt         = state.outputFormats[formatIndex];
   const rect        = canvas.getBoundingClientRect();
-  const cssToCanvas = formatWidth / rect.width;
+  const cssToCanvas = fmt.width / rect.width;
+
+  const before = getPointerSpread(pointers, rect, cssToCanvas);
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  const after  = getPointerSpread(pointers, rect, cssToCanvas);
 
   const adj = state.adjustments[formatIndex][panelIndex];
-  adj.panX = startPanX + (e.clientX - startMouseX) * cssToCanvas;
-  adj.panY = startPanY + (e.clientY - startMouseY) * cssToCanvas;
+  if (pointers.size > 1 && before.dist > 0) {
+    zoomPanelAt(formatIndex, panelIndex, adj.scale * (after.dist / before.dist), after.x, after.y);
+  }
+  // The midpoint moving pans, so two fingers can pan and zoom together
+  panPanelBy(adj, after.x - before.x, after.y - before.y);
 
-  // Only re-render the format being dragged
-  renderForFormat(formatIndex, OUTPUT_FORMATS[formatIndex]);
+  // Only re-render the format being dragged (and any linked to it)
+  renderPanelFraming(formatIndex, panelIndex);
 });
 
-window.addEventListener("mouseup", () => {
+function endPointer(e) {
+  if (state.dividerDrag?.pointerId === e.pointerId) state.dividerDrag = null;
+  if (state.guideDrag?.pointerId === e.pointerId) {
+    endAlignGuide();
+    state.guideDrag = null;
+  }
   if (state.drag) {
+    state.drag.pointers.delete(e.pointerId);
+    if (state.drag.pointers.size) return;
     state.drag.canvas.classList.remove("dragging");
     state.drag = null;
   }
-});
+  // A whole drag or pinch is one history entry
+  if (!state.dividerDrag) commitEdit();
+}
+
+window.addEventListener("pointerup", endPointer);
+window.addEventListener("pointercancel", endPointer);
+
+// Keep a panel's adj-card and overlay label in step with gesture and
+// keyboard edits
+function syncPanelControls(fi, index) {
+  getOverlayPanel(fi, index)?.setAttribute("aria-label", describePanel(fi, index));
+  const card = state.canvasEls[fi]?.closest(".canvas-entry")?.querySelectorAll(".adj-card")[index];
+  const slider = card?.querySelector(".zoom-slider");
+  if (!slider) return;
+  const adj = state.adjustments[fi][index];
+  slider.value = adj.scale.toFixed(2);
+  card.querySelector(".zoom-value").textContent = adj.scale.toFixed(1) + "×";
+  card.querySelector(".rotate-slider").value = String(adj.rotation);
+  card.querySelector(".rotate-value").textContent = formatDegrees(adj.rotation);
+  card.querySelector(".level-toggle input").checked = isLevelled(index, adj);
+  const photo = getPhotoAdjustment(index);
+  card.querySelectorAll(".adj-flip").forEach((btn) => btn.setAttribute("aria-pressed", String(!!photo[btn.dataset.flip])));
+}
+
+function formatDegrees(deg) {
+  return `${Math.round(deg * 10) / 10}°`;
+}
+
+// Whether the panel is rotated exactly against the detected head tilt
+function isLevelled(index, adj) {
+  const tilt = state.focalPoints[index]?.tilt ?? 0;
+  return !!adj.rotation && Math.abs(adj.rotation + tilt) < 0.05;
+}
+
+// ── Keyboard editing ──────────────────────────────────────────────────────────
+
+function getOverlayPanel(fi, index) {
+  return state.canvasEls[fi]?.closest(".canvas-entry")
+    ?.querySelector(`.canvas-overlay-panel[data-panel="${index}"]`);
+}
+
+// Spoken summary of a panel: which photo, its zoom, and which part of the
+// photo is centred in the panel
+function describePanel(fi, index) {
+  const fmt  = state.outputFormats[fi];
+  const adj  = state.adjustments[fi][index];
+  const img  = state.imageEls[index];
+  const slot = getFormatSlots(fmt)[index];
+  const name = `Photo ${index + 1} of ${state.selectedLayout.photoCount}, ${fmt.label}`;
+  if (!adj || !img || !slot) return name;
+  const { boxW, boxH, drawW, drawH, offsetX, offsetY } = getPanelPlacement(img, slot.w, slot.h, index, adj);
+  const across = Math.round(((boxW / 2 - offsetX) / drawW) * 100);
+  const down   = Math.round(((boxH / 2 - offsetY) / drawH) * 100);
+  const turned  = adj.rotation ? `, rotated ${formatDegrees(adj.rotation)}` : "";
+  const { flipX, flipY } = getPhotoAdjustment(index);
+  const flipped = flipX || flipY
+    ? `, flipped ${[flipX && "horizontally", flipY && "vertically"].filter(Boolean).join(" and ")}`
+    : "";
+  const resolution = img.width / drawW;
+  const soft = resolution < RESOLUTION_WARN ? `, low detail: ${describeUpscale(resolution)}` : "";
+  return `${name}: zoom ${adj.scale.toFixed(1)}×${turned}${flipped}${soft}, centred ${across}% across and ${down}% down the photo`;
+}
+
+function announce(text) {
+  srStatus.textContent = text;
+}
+
+// Keep keyboard nudges within the range the image can actually move, so
+// pressing the opposite arrow responds straight away
+function clampPanelPan(fi, index) {
+  const slot = getFormatSlots(state.outputFormats[fi])[index];
+  const adj  = state.adjustments[fi][index];
+  const p    = getPanelPlacement(state.imageEls[index], slot.w, slot.h, index, adj);
+  adj.panX = p.offsetX - p.autoX;
+  adj.panY = p.offsetY - p.autoY;
+}
+
+function handlePanelKey(e, fi, index) {
+  if (e.ctrlKey || e.metaKey || e.target !== e.currentTarget) return;
+  const fmt  = state.outputFormats[fi];
+  const adj  = state.adjustments[fi][index];
+  const slot = getFormatSlots(fmt)[index];
+  const arrows = { ArrowLeft: [-1, 0, "left"], ArrowRight: [1, 0, "right"], ArrowUp: [0, -1, "up"], ArrowDown: [0, 1, "down"] };
+
+  if (arrows[e.key] && e.altKey) {
+    e.preventDefault();
+    const j = getNeighbourSlot(getFormatSlots(fmt), index, arrows[e.key][2]);
+    if (j < 0) return;
+    swapImages(index, j);
+    getOverlayPanel(fi, j)?.focus();
+    announce(`Swapped photos ${index + 1} and ${j + 1}`);
+    return;
+  }
+
+  if (arrows[e.key]) {
+    const [dx, dy] = arrows[e.key];
+    const step = e.shiftKey ? NUDGE_PX_LARGE : NUDGE_PX;
+    beginEdit();
+    panPanelBy(adj, dx * step, dy * step);
+    clampPanelPan(fi, index);
+  } else if (e.key === "+" || e.key === "=") {
+    beginEdit();
+    zoomPanelAt(fi, index, adj.scale + ZOOM_STEP, slot.x + slot.w / 2, slot.y + slot.h / 2);
+  } else if (e.key === "-" || e.key === "_") {
+    beginEdit();
+    zoomPanelAt(fi, index, adj.scale - ZOOM_STEP, slot.x + slot.w / 2, slot.y + slot.h / 2);
+  } else if (e.key === "[" || e.key === "]" || e.key === "{" || e.key === "}") {
+    // Shift turns [ ] into { } on most layouts
+    beginEdit();
+    const step = e.shiftKey ? ROTATE_STEP_LARGE : ROTATE_STEP;
+    rotatePanelTo(fi, index, adj.rotation + (e.key === "[" || e.key === "{" ? -step : step));
+  } else if (e.key === "h" || e.key === "H" || e.key === "v" || e.key === "V") {
+    beginEdit();
+    togglePhotoFlip(index, e.key.toLowerCase() === "h" ? "flipX" : "flipY");
+  } else if (e.key === "r" || e.key === "R") {
+    beginEdit();
+    resetPanelFrame(adj);
+  } else {
+    return;
+  }
+  e.preventDefault();
+  renderPanelFraming(fi, index);
+  announce(describePanel(fi, index));
+}
+
+function renderShortcutSheet() {
+  shortcutList.innerHTML = "";
+  KEYBOARD_SHORTCUTS.forEach(([keys, action]) => {
+    shortcutList.append(
+      Object.assign(document.createElement("dt"), { textContent: keys }),
+      Object.assign(document.createElement("dd"), { textContent: action }),
+    );
+  });
+}
+
+let shortcutReturnFocus = null;
+
+function toggleShortcutSheet(open = shortcutSheet.hidden) {
+  if (open === !shortcutSheet.hidden) return;
+  shortcutSheet.hidden = !open;
+  if (open) {
+    shortcutReturnFocus = document.activeElement;
+    btnShortcutsClose.focus();
+  } else {
+    shortcutReturnFocus?.focus?.();
+    shortcutReturnFocus = null;
+  }
+}
 
 // ── Per-canvas adjustment controls ───────────────────────────────────────────
 
 function buildAdjControls(fi) {
   const count = state.selectedLayout.photoCount;
-  const fmt   = OUTPUT_FORMATS[fi];
+  const fmt   = state.outputFormats[fi];
 
   const wrapper = document.createElement("div");
   wrapper.className = "canvas-adjs";
@@ -732,24 +2700,74 @@ function buildAdjControls(fi) {
   hintRow.className = "canvas-adjs-hint";
 
   const hintText = document.createElement("span");
-  hintText.textContent = "Drag image to reposition · Use sliders to zoom";
+  hintText.textContent = "Drag to reposition · Pinch, Ctrl/⌘ + scroll or use sliders to zoom · Drag dividers to resize";
 
   const gridLabel = document.createElement("label");
   gridLabel.className = "grid-toggle";
   const gridCheck = document.createElement("input");
   gridCheck.type = "checkbox";
+  gridCheck.className = "grid-check";
   gridCheck.checked = state.showGrid;
   gridCheck.addEventListener("change", () => {
     state.showGrid = gridCheck.checked;
     // Sync all other grid checkboxes
-    document.querySelectorAll(".grid-toggle input").forEach(cb => cb.checked = state.showGrid);
+    document.querySelectorAll(".grid-check").forEach(cb => cb.checked = state.showGrid);
     renderAllCanvases();
   });
   gridLabel.append(gridCheck, document.createTextNode(" Show grid lines"));
 
-  hintRow.append(hintText, gridLabel);
+  const ceilingLabel = Object.assign(document.createElement("label"), {
+    className: "zoom-ceiling", textContent: "Max zoom ",
+  });
+  const ceilingSelect = document.createElement("select");
+  ZOOM_CEILINGS.forEach((z) => ceilingSelect.appendChild(new Option(`${z}×`, String(z))));
+  ceilingSelect.value = String(state.maxZoom);
+  ceilingSelect.addEventListener("change", () => setMaxZoom(Number(ceilingSelect.value)));
+  ceilingLabel.appendChild(ceilingSelect);
+
+  const linkLabel = document.createElement("label");
+  linkLabel.className = "link-toggle";
+  linkLabel.title = "Pan, zoom and rotate every format together";
+  linkLabel.hidden = state.outputFormats.length < 2;
+  const linkCheck = Object.assign(document.createElement("input"), {
+    type: "checkbox", className: "link-check", checked: state.linkFormats,
+  });
+  linkCheck.addEventListener("change", () => {
+    state.linkFormats = linkCheck.checked;
+    document.querySelectorAll(".link-check").forEach(cb => cb.checked = state.linkFormats);
+  });
+  linkLabel.append(linkCheck, document.createTextNode(" Link formats"));
+
+  hintRow.append(hintText, ceilingLabel, linkLabel, gridLabel);
   wrapper.appendChild(hintRow);
 
+  // Panel ratio per split — mirrors divider dragging on the canvas
+  getLayoutSplits(state.selectedLayout).forEach((split, si) => {
+    const splitRow = document.createElement("div");
+    splitRow.className = "adj-row split-row";
+
+    const noun  = split.dir === "row" ? "Widths" : "Heights";
+    const label = Object.assign(document.createElement("label"), {
+      textContent: split.first === 0 && split.last === count - 1
+        ? noun
+        : `${noun} ${split.first + 1}–${split.last + 1}`,
+    });
+    const field = Object.assign(document.createElement("input"), {
+      type: "text", className: "split-ratio-input",
+      value: formatRatios(fmt.splitRatios[si] ?? equalRatios(split.count)),
+      title: "Panel ratio, e.g. 60:40",
+    });
+    field.dataset.split = si;
+    field.addEventListener("change", () => {
+      const ratios = parseRatios(field.value, split.count);
+      if (ratios) { beginEdit(); setSplitRatios(fi, si, ratios); commitEdit(); }
+      field.value = formatRatios(fmt.splitRatios[si] ?? equalRatios(split.count));
+    });
+
+    splitRow.append(label, field);
+    wrapper.appendChild(splitRow);
+  });
+
   for (let i = 0; i < count; i++) {
     const focal = state.focalPoints[i];
     const adj   = state.adjustments[fi][i];
@@ -767,121 +2785,2073 @@ function buildAdjControls(fi) {
 
     const zoomLabel = Object.assign(document.createElement("label"), { textContent: "Zoom" });
     const slider = Object.assign(document.createElement("input"), {
-      type: "range", min: "1", max: "3", step: "0.05", value: String(adj.scale.toFixed(2)),
+      type: "range", className: "zoom-slider", min: String(MIN_ZOOM), max: String(state.maxZoom), step: "0.05",
+      value: String(adj.scale.toFixed(2)),
     });
+    slider.setAttribute("aria-label", `Photo ${i + 1} zoom`);
     const valueEl = Object.assign(document.createElement("span"), {
-      className: "adj-value", textContent: adj.scale.toFixed(1) + "×",
+      className: "adj-value zoom-value", textContent: adj.scale.toFixed(1) + "×",
     });
 
+    // A slider scrub is one history entry: snapshot on the first input,
+    // commit when the slider is released
     slider.addEventListener("input", () => {
+      beginEdit();
       adj.scale = parseFloat(slider.value);
-      valueEl.textContent = adj.scale.toFixed(1) + "×";
-      renderForFormat(fi, fmt);
+      renderPanelFraming(fi, i);
     });
+    slider.addEventListener("change", commitEdit);
 
     zoomRow.append(zoomLabel, slider, valueEl);
 
+    // Free rotation, e.g. to straighten a horizon
+    const rotateRow = document.createElement("div");
+    rotateRow.className = "adj-row";
+    const rotateSlider = Object.assign(document.createElement("input"), {
+      type: "range", className: "rotate-slider", min: "-180", max: "180", step: "0.5",
+      value: String(adj.rotation),
+    });
+    rotateSlider.setAttribute("aria-label", `Photo ${i + 1} rotation`);
+    const rotateValue = Object.assign(document.createElement("span"), {
+      className: "adj-value rotate-value", textContent: formatDegrees(adj.rotation),
+    });
+    rotateSlider.addEventListener("input", () => {
+      beginEdit();
+      rotatePanelTo(fi, i, parseFloat(rotateSlider.value));
+      renderPanelFraming(fi, i);
+    });
+    rotateSlider.addEventListener("change", commitEdit);
+    rotateRow.append(Object.assign(document.createElement("label"), { textContent: "Rotate" }), rotateSlider, rotateValue);
+
+    // Level a tilted head by rotating the panel against the eye line's angle
+    const levelLabel = document.createElement("label");
+    levelLabel.className = "level-toggle";
+    const levelCheck = Object.assign(document.createElement("input"), {
+      type: "checkbox", checked: isLevelled(i, adj),
+    });
+    const canLevel = focal?.faceFound && Math.abs(focal.tilt ?? 0) >= 0.5;
+    levelLabel.hidden = !canLevel;
+    levelLabel.title = canLevel ? `Head tilted ${focal.tilt.toFixed(1)}°` : "";
+    levelCheck.addEventListener("change", () => {
+      beginEdit();
+      rotatePanelTo(fi, i, levelCheck.checked ? -focal.tilt : 0);
+      renderPanelFraming(fi, i);
+      commitEdit();
+    });
+    levelLabel.append(levelCheck, document.createTextNode(" Level"));
+
+    // Mirror so the subject faces into the composite — in every format
+    const flipBtns = [["flipX", "⇋", "Flip horizontally"], ["flipY", "⇅", "Flip vertically"]].map(([key, icon, title]) => {
+      const btn = Object.assign(document.createElement("button"), {
+        className: "secondary adj-flip", textContent: icon, title,
+      });
+      btn.dataset.flip = key;
+      btn.setAttribute("aria-label", `${title}, photo ${i + 1}`);
+      btn.setAttribute("aria-pressed", String(!!getPhotoAdjustment(i)[key]));
+      btn.addEventListener("click", () => {
+        beginEdit();
+        togglePhotoFlip(i, key);
+        commitEdit();
+      });
+      return btn;
+    });
+
     const resetBtn = Object.assign(document.createElement("button"), {
       className: "secondary adj-reset", textContent: "Reset",
     });
     resetBtn.addEventListener("click", () => {
-      adj.panX = 0; adj.panY = 0; adj.scale = 1.0;
-      slider.value = "1";
-      valueEl.textContent = "1.0×";
-      renderForFormat(fi, fmt);
+      beginEdit();
+      resetPanelFrame(adj);
+      renderPanelFraming(fi, i);
+      commitEdit();
     });
 
     // All inline in one row
-    card.append(labelEl, zoomRow, resetBtn);
+    card.append(labelEl, zoomRow, rotateRow, levelLabel, ...flipBtns, resetBtn, buildToneSliders(i));
     wrapper.appendChild(card);
   }
 
   return wrapper;
 }
 
-// ── Download ──────────────────────────────────────────────────────────────────
+// Collapsible tone sliders for one photo. Every format's card shows the
+// same values; an edit on one redraws them all.
+function buildToneSliders(i) {
+  const tone = state.photoAdjustments[i];
 
-function downloadOne(fi) {
-  const fmt  = OUTPUT_FORMATS[fi];
-  const name = (state.selectedLayout.name + "-" + fmt.suffix).toLowerCase().replace(/\s+/g, "-");
-  const link = Object.assign(document.createElement("a"), {
-    download: `composite-${name}.jpg`,
-    href: state.canvasEls[fi].toDataURL("image/jpeg", 0.92),
+  const details = Object.assign(document.createElement("details"), {
+    className: "adj-tone", open: hasToneAdjustments(tone),
   });
-  link.click();
+  details.dataset.photo = String(i);
+  const summary = Object.assign(document.createElement("summary"), { textContent: "Tone" });
+  const fields  = Object.assign(document.createElement("div"), { className: "adj-tone-fields" });
+
+  const sliders = TONE_CONTROLS.map(({ key, label }) => {
+    const rowEl = Object.assign(document.createElement("label"), { className: "adj-row", textContent: label });
+    const slider = Object.assign(document.createElement("input"), {
+      type: "range", min: "-100", max: "100", step: "1", value: String(tone[key]),
+    });
+    slider.dataset.tone = key;
+    slider.setAttribute("aria-label", `Photo ${i + 1} ${label.toLowerCase()}`);
+    const valueEl = Object.assign(document.createElement("span"), {
+      className: "adj-value", textContent: String(tone[key]),
+    });
+    slider.addEventListener("input", () => {
+      beginEdit();
+      tone[key] = Number(slider.value);
+      syncToneSliders(i);
+      renderAllCanvases();
+    });
+    slider.addEventListener("change", commitEdit);
+    // Double-click a slider to zero it
+    slider.addEventListener("dblclick", () => {
+      beginEdit();
+      tone[key] = 0;
+      syncToneSliders(i);
+      renderAllCanvases();
+      commitEdit();
+    });
+    rowEl.append(slider, valueEl);
+    fields.appendChild(rowEl);
+    return key;
+  });
+
+  const resetBtn = Object.assign(document.createElement("button"), {
+    className: "secondary adj-reset", textContent: "Reset tone",
+  });
+  resetBtn.addEventListener("click", () => {
+    beginEdit();
+    sliders.forEach((key) => { tone[key] = 0; });
+    syncToneSliders(i);
+    renderAllCanvases();
+    commitEdit();
+  });
+
+  details.append(summary, fields, resetBtn);
+  return details;
 }
 
-function downloadAll() {
-  OUTPUT_FORMATS.forEach((fmt, fi) => {
-    // Slight delay between downloads so browsers don't block multiple at once
-    setTimeout(() => {
-      const name = (state.selectedLayout.name + "-" + fmt.suffix).toLowerCase().replace(/\s+/g, "-");
-      const link = Object.assign(document.createElement("a"), {
-        download: `composite-${name}.jpg`,
-        href: state.canvasEls[fi].toDataURL("image/jpeg", 0.92),
-      });
-      link.click();
-    }, fi * 300);
+// Show one photo's tone on its card in every format
+function syncToneSliders(i) {
+  const tone = state.photoAdjustments[i];
+  document.querySelectorAll(`.adj-tone[data-photo="${i}"] input[data-tone]`).forEach((slider) => {
+    slider.value = String(tone[slider.dataset.tone]);
+    slider.nextElementSibling.textContent = slider.value;
   });
 }
 
-// ── Reset ─────────────────────────────────────────────────────────────────────
+// ── Divider style ─────────────────────────────────────────────────────────────
 
-function resetPreview(clearComposited = true) {
-  if (clearComposited) {
-    state.composited  = false;
-    state.imageEls    = [];
-    state.adjustments = [];
-    state.canvasEls   = [];
-    canvasArea.querySelectorAll(".canvas-entry").forEach((el) => el.remove());
+function renderDividerControls() {
+  dividerPresetsEl.innerHTML = "";
+  DIVIDER_PRESETS.forEach((preset) => {
+    const btn = Object.assign(document.createElement("button"), {
+      className: "secondary divider-preset", textContent: preset.name,
+    });
+    const { name, ...style } = preset;
+    btn.classList.toggle("active", Object.keys(style).every((k) => state.divider[k] === style[k]));
+    btn.addEventListener("click", () => { setDivider(style); commitEdit(); });
+    dividerPresetsEl.appendChild(btn);
+  });
+
+  const { width, color, angle, feather } = state.divider;
+  dividerWidth.value   = String(width);
+  dividerColor.value   = color;
+  dividerAngle.value   = String(angle);
+  dividerFeather.value = String(feather);
+  // Width has no effect while feathering — the panels meet and crossfade
+  dividerWidth.disabled = feather > 0;
+  document.getElementById("divider-width-value").textContent   = `${width}px`;
+  document.getElementById("divider-angle-value").textContent   = `${angle}°`;
+  document.getElementById("divider-feather-value").textContent = `${feather}px`;
+}
+
+// Callers commit the history entry — presets straight away, sliders and the
+// colour picker when they're released
+function setDivider(changes) {
+  if (state.composited) beginEdit();
+  state.divider = { ...state.divider, ...changes };
+  renderDividerControls();
+  if (!state.composited) return;
+  state.outputFormats.forEach((fmt, fi) => {
+    const overlay = state.canvasEls[fi]?.closest(".canvas-entry")?.querySelector(".canvas-overlay");
+    if (overlay) positionOverlay(overlay, fmt);
+  });
+  renderAllCanvases();
+}
+
+// ── Tone ─────────────────────────────────────────────────────────────────────
+
+// Cumulative per-channel histograms of each loaded image, from a downscaled copy
+const toneProfiles = new WeakMap();
+
+function getToneProfile(img) {
+  if (toneProfiles.has(img)) return toneProfiles.get(img);
+
+  const fit = Math.min(1, TONE_SAMPLE_PX / Math.max(img.width, img.height));
+  const w = Math.max(1, Math.round(img.width * fit));
+  const h = Math.max(1, Math.round(img.height * fit));
+  const canvas = Object.assign(document.createElement("canvas"), { width: w, height: h });
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const hists = [new Float64Array(256), new Float64Array(256), new Float64Array(256)];
+  for (let p = 0; p < data.length; p += 4) {
+    hists[0][data[p]]++;
+    hists[1][data[p + 1]]++;
+    hists[2][data[p + 2]]++;
   }
-  canvasPlaceholder.classList.remove("hidden");
-  canvasLoading.hidden = true;
-  btnDownload.disabled = true;
-  btnDownload.hidden = true;
-  creditReminder.hidden = true;
-  state.showGrid = false;
+  const total = w * h;
+  const cdfs = hists.map((hist) => {
+    let sum = 0;
+    return hist.map((n) => (sum += n) / total);
+  });
+  toneProfiles.set(img, cdfs);
+  return cdfs;
 }
 
-function resetAll() {
-  state.selectedLayout = null;
-  state.images         = [];
-  state.focalPoints    = [];
-  document.querySelectorAll(".preset-card").forEach((c) => c.classList.remove("selected"));
-  uploadHint.textContent = "Select a split first";
-  uploadZonesEl.innerHTML = "";
-  resetPreview();
-  updateComposeButton();
+// One 256-entry lookup table per channel mapping `from` onto `to`'s
+// distribution, blended with the identity by `strength`
+function buildMatchLuts(from, to, strength) {
+  return from.map((cdf, c) => {
+    const lut = new Uint8ClampedArray(256);
+    let u = 0;
+    for (let v = 0; v < 256; v++) {
+      while (u < 255 && to[c][u] < cdf[v]) u++;
+      lut[v] = Math.round(v + (u - v) * strength);
+    }
+    return lut;
+  });
 }
 
-// ── Events ────────────────────────────────────────────────────────────────────
+// Harmonising tables for one panel, or null when it isn't harmonised
+function getHarmoniseLuts(index) {
+  const { reference, strength } = state.harmonise;
+  const amount = strength[index] ?? 0;
+  if (state.showOriginal || !amount || index === reference) return null;
+  const img = getPreviewSource(index), refImg = getPreviewSource(reference);
+  if (!img || !refImg) return null;
+  return buildMatchLuts(getToneProfile(img), getToneProfile(refImg), amount);
+}
 
-btnCompose.addEventListener("click", compose);
-btnDownload.addEventListener("click", downloadAll);
-btnReset.addEventListener("click", resetAll);
+function hasToneAdjustments(tone) {
+  return TONE_CONTROLS.some(({ key }) => tone[key]);
+}
 
-// Clipboard paste — loads image into the next empty slot
-document.addEventListener("paste", (e) => {
-  if (!state.selectedLayout) return;
-  const items = Array.from(e.clipboardData?.items ?? []);
-  const imageItem = items.find((item) => item.type.startsWith("image/"));
-  if (!imageItem) return;
+// Everything the pixel pass needs for one panel: a lookup table per channel
+// (harmonising, then the tone curve) and a saturation factor. Null when the
+// panel is drawn untouched.
+function getPanelTone(index) {
+  const adj = getPhotoAdjustment(index);
+  const harmonise = getHarmoniseLuts(index);
+  if (!harmonise && !hasToneAdjustments(adj)) return null;
+
+  const gains = [1 + adj.warmth * 0.0015, 1, 1 - adj.warmth * 0.0015];
+  const luts = gains.map((gain, c) => {
+    const lut = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+      const base = harmonise ? harmonise[c][v] : v;
+      lut[v] = Math.round(toneCurve(Math.min(1, (base / 255) * gain), adj) * 255);
+    }
+    return lut;
+  });
+  return { luts, saturation: 1 + adj.saturation / 100 };
+}
 
-  const count = state.selectedLayout.photoCount;
-  // Find the first empty slot
-  let targetIndex = -1;
+// Brightness bends the midtones (a gamma curve, so black and white stay put),
+// contrast pivots around mid-grey, and shadows / highlights lift or pull the
+// lower and upper thirds of the range without moving the end points.
+function toneCurve(v, adj) {
+  v = Math.pow(v, Math.pow(2, -adj.brightness / 100));
+  v = (v - 0.5) * (1 + adj.contrast / 100) + 0.5;
+  v = Math.min(1, Math.max(0, v));
+  v += (adj.shadows / 100) * 0.15 * (27 / 4) * v * (1 - v) ** 2;
+  v += (adj.highlights / 100) * 0.15 * (27 / 4) * v ** 2 * (1 - v);
+  return Math.min(1, Math.max(0, v));
+}
+
+function applyPanelTone(ctx, w, h, { luts: [lr, lg, lb], saturation }) {
+  const pw = Math.ceil(w), ph = Math.ceil(h);
+  const image = ctx.getImageData(0, 0, pw, ph);
+  const { data } = image;
+  for (let p = 0; p < data.length; p += 4) {
+    let r = lr[data[p]], g = lg[data[p + 1]], b = lb[data[p + 2]];
+    if (saturation !== 1) {
+      const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+      r = luma + (r - luma) * saturation;
+      g = luma + (g - luma) * saturation;
+      b = luma + (b - luma) * saturation;
+    }
+    data[p] = r; data[p + 1] = g; data[p + 2] = b;
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+// Strengths and the reference follow their photos when panels are swapped
+function swapHarmonise(i, j) {
+  const { reference, strength } = state.harmonise;
+  const next = strength.slice();
+  [next[i], next[j]] = [strength[j], strength[i]];
+  state.harmonise = {
+    reference: reference === i ? j : reference === j ? i : reference,
+    strength: next,
+  };
+}
+
+function renderToneControls() {
+  const count = state.selectedLayout?.photoCount ?? 0;
+  const { reference, strength } = state.harmonise;
+
+  toneReference.innerHTML = "";
+  for (let i = 0; i < count; i++) {
+    toneReference.appendChild(Object.assign(document.createElement("option"), {
+      value: String(i), textContent: `Photo ${i + 1}`, selected: i === reference,
+    }));
+  }
+
+  toneStrengthsEl.innerHTML = "";
   for (let i = 0; i < count; i++) {
-    if (!state.images[i]) { targetIndex = i; break; }
+    const amount = strength[i] ?? 0;
+    const rowEl = Object.assign(document.createElement("label"), {
+      className: "adj-row", textContent: `Photo ${i + 1}`,
+    });
+    const slider = Object.assign(document.createElement("input"), {
+      type: "range", min: "0", max: "100", step: "5",
+      value: String(Math.round(amount * 100)), disabled: i === reference,
+    });
+    const valueEl = Object.assign(document.createElement("span"), {
+      className: "adj-value",
+      textContent: i === reference ? "Ref" : `${Math.round(amount * 100)}%`,
+    });
+    slider.addEventListener("input", () => {
+      beginEdit();
+      const next = state.harmonise.strength.slice();
+      next[i] = Number(slider.value) / 100;
+      state.harmonise = { ...state.harmonise, strength: next };
+      valueEl.textContent = `${slider.value}%`;
+      renderAllCanvases();
+    });
+    slider.addEventListener("change", commitEdit);
+    rowEl.append(slider, valueEl);
+    toneStrengthsEl.appendChild(rowEl);
+  }
+}
+
+function setShowOriginal(on) {
+  state.showOriginal = on;
+  btnToneCompare.classList.toggle("active", on);
+  btnToneCompare.setAttribute("aria-pressed", String(on));
+  btnToneCompare.textContent = on ? "Showing before" : "Showing after";
+}
+
+// ── Undo / redo ───────────────────────────────────────────────────────────────
+
+const HISTORY_LIMIT = 100;
+
+// Everything a composite edit can change. Image records and elements are
+// immutable, so shallow copies of their arrays are enough; adjustments are
+// mutated in place and need a deep copy.
+function captureEdits() {
+  return {
+    images:      state.images.slice(),
+    focalPoints: state.focalPoints.slice(),
+    credits:     state.credits.slice(),
+    imageEls:    state.imageEls.slice(),
+    adjustments: structuredClone(state.adjustments),
+    photoAdjustments: structuredClone(state.photoAdjustments),
+    splitRatios: state.outputFormats.map((f) => f.splitRatios),
+    divider:     { ...state.divider },
+    alignment:   { ...state.alignment },
+    targetFocalY: state.targetFocalY,
+    harmonise:   { ...state.harmonise, strength: state.harmonise.strength.slice() },
+    exportMeta:  { ...state.exportMeta },
+  };
+}
+
+function restoreEdits(snap) {
+  state.images      = snap.images.slice();
+  state.focalPoints = snap.focalPoints.slice();
+  state.credits     = snap.credits.slice();
+  state.imageEls    = snap.imageEls.slice();
+  state.adjustments = structuredClone(snap.adjustments);
+  state.photoAdjustments = structuredClone(snap.photoAdjustments);
+  state.outputFormats.forEach((f, fi) => { f.splitRatios = snap.splitRatios[fi] ?? []; });
+  state.divider     = { ...snap.divider };
+  state.alignment   = { ...snap.alignment };
+  state.targetFocalY = snap.targetFocalY;
+  state.harmonise   = { ...snap.harmonise, strength: snap.harmonise.strength.slice() };
+  state.exportMeta  = { ...snap.exportMeta };
+
+  renderUploadZones(state.selectedLayout.photoCount);
+  renderDividerControls();
+  renderAlignControls();
+  renderToneControls();
+  renderExportMeta();
+  buildCanvasEntries();
+  renderAllCanvases();
+}
+
+function isSameEdit(a, b) {
+  const sameRefs = (x, y) => x.length === y.length && x.every((v, i) => v === y[i]);
+  return sameRefs(a.images, b.images) && sameRefs(a.imageEls, b.imageEls) &&
+    JSON.stringify([a.adjustments, a.photoAdjustments, a.splitRatios, a.divider, a.alignment, a.harmonise, a.credits, a.exportMeta]) ===
+    JSON.stringify([b.adjustments, b.photoAdjustments, b.splitRatios, b.divider, b.alignment, b.harmonise, b.credits, b.exportMeta]);
+}
+
+// Snapshot the state before an edit starts. Repeated calls during one gesture
+// keep the first snapshot, so a drag or slider scrub becomes one entry.
+function beginEdit() {
+  if (state.composited && !state.pendingEdit) state.pendingEdit = captureEdits();
+}
+
+// Close the current gesture, recording it if anything actually changed
+function commitEdit() {
+  const before = state.pendingEdit;
+  state.pendingEdit = null;
+  if (!before || isSameEdit(before, captureEdits())) return;
+  state.history.past.push(before);
+  if (state.history.past.length > HISTORY_LIMIT) state.history.past.shift();
+  state.history.future = [];
+  updateHistoryButtons();
+  scheduleAutosave();
+}
+
+function undo() {
+  commitEdit();
+  const snap = state.history.past.pop();
+  if (!snap) return;
+  state.history.future.push(captureEdits());
+  restoreEdits(snap);
+  updateHistoryButtons();
+  scheduleAutosave();
+}
+
+function redo() {
+  commitEdit();
+  const snap = state.history.future.pop();
+  if (!snap) return;
+  state.history.past.push(captureEdits());
+  restoreEdits(snap);
+  updateHistoryButtons();
+  scheduleAutosave();
+}
+
+function clearHistory() {
+  state.history = { past: [], future: [] };
+  state.pendingEdit = null;
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  btnUndo.hidden = btnRedo.hidden = !state.composited;
+  btnUndo.disabled = !state.history.past.length;
+  btnRedo.disabled = !state.history.future.length;
+}
+
+// ── Session autosave ──────────────────────────────────────────────────────────
+
+// Work in progress is autosaved to IndexedDB — layout, source images (as
+// Blobs), focal points, per-format adjustments, divider style and tone — so a
+// reload or an accidental Reset can be undone from the recent list.
+const SESSION_DB_NAME   = "photo-compositor";
+const SESSION_STORE     = "sessions";
+const AUTOSAVE_DELAY_MS = 800;
+const MAX_SESSIONS      = 12;
+
+let sessionDbPromise = null;
+let autosaveTimer    = null;
+let restoringSession = false;
+
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+      const req = indexedDB.open(SESSION_DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(SESSION_STORE, { keyPath: "id" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+// Run fn(store) in a transaction and resolve with its request's result
+async function withSessionStore(mode, fn) {
+  const db = await openSessionDb();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(SESSION_STORE, mode);
+    const req = fn(tx.objectStore(SESSION_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+// Most recently edited first
+async function listSessions() {
+  const sessions = await withSessionStore("readonly", (store) => store.getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function captureSession() {
+  const count = state.selectedLayout?.photoCount ?? 0;
+  return {
+    layoutId: state.selectedLayout?.id ?? null,
+    images: Array.from({ length: count }, (_, i) => {
+      const image = state.images[i];
+      if (!image) return null;
+      return {
+        name: image.file.name || `photo-${i + 1}`,
+        type: image.file.type,
+        blob: image.file,
+        qualityWarning: image.qualityWarning ?? null,
+        meta: image.meta ?? null,
+      };
+    }),
+    focalPoints:   Array.from({ length: count }, (_, i) => state.focalPoints[i] ?? null),
+    credits:       Array.from({ length: count }, (_, i) => state.credits[i] ?? ""),
+    composited:    state.composited,
+    targetFocalY:  state.targetFocalY,
+    outputFormats: structuredClone(state.outputFormats),
+    adjustments:   structuredClone(state.adjustments),
+    photoAdjustments: Array.from({ length: count }, (_, i) => state.photoAdjustments[i] ?? null),
+    divider:       { ...state.divider },
+    alignment:     { ...state.alignment },
+    harmonise:     { ...state.harmonise, strength: state.harmonise.strength.slice() },
+    exportMeta:    { ...state.exportMeta },
+  };
+}
+
+// Rebuild the editor from a captured session or a project file, recomposing
+// it if it had been generated. Images carry either a Blob (sessions) or a
+// data URL (project files). Fields added after the data was saved fall back
+// to their defaults, so older sessions and projects keep loading.
+async function restoreSession(data) {
+  const layout = LAYOUTS.find((l) => l.id === data.layoutId);
+  if (!layout) throw new Error(`Unknown layout "${data.layoutId}"`);
+  // Autosave holds off until the whole session is back: a save part-way
+  // through would write a half-restored copy (or the previous photos) over it
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  restoringSession = true;
+  try {
+    await applySession(data, layout);
+  } finally {
+    restoringSession = false;
+  }
+}
+
+async function applySession(data, layout) {
+  // Nothing of the previous composite may show through while this one loads
+  state.images      = [];
+  state.focalPoints = [];
+  state.credits     = [];
+  state.photoAdjustments = [];
+  selectLayout(layout);
+
+  const count = layout.photoCount;
+  state.images = await Promise.all(
+    Array.from({ length: count }, async (_, i) => {
+      const image = data.images?.[i];
+      if (!image) return null;
+      const blob = image.blob ?? dataURLToBlob(image.dataURL);
+      // Project files hold the upright image; sessions keep the original
+      // file, so orientation is applied again
+      const meta = image.meta ?? await readPhotoMeta(blob);
+      const file = new File([blob], image.name, { type: image.type || blob.type });
+      return {
+        file,
+        blob: image.dataURL ? file : await orientImage(file, meta.orientation),
+        qualityWarning: image.qualityWarning ?? null,
+        meta,
+      };
+    })
+  );
+  // Hashes, preview proxies and thumbnails aren't saved; they're taken again
+  await Promise.all(state.images.map(async (image) => {
+    if (!image) return;
+    const { hash, proxy } = await analyseImage(image.blob);
+    Object.assign(image, { hash, proxy, thumbnail: proxy && makeZoneThumbnail(proxy, image.blob.type) });
+  }));
+  state.focalPoints = Array.from({ length: count }, (_, i) => data.focalPoints?.[i] ?? null);
+  state.credits     = Array.from({ length: count }, (_, i) => data.credits?.[i] ?? "");
+  // Sessions from before tone and flips followed the photo kept them on each
+  // format's panels; the first format's are taken
+  const photoAdjs   = data.photoAdjustments ?? liftPhotoAdjustments(data.adjustments);
+  state.photoAdjustments = Array.from({ length: count }, (_, i) => ({ ...DEFAULT_PHOTO_ADJUSTMENT, ...photoAdjs?.[i] }));
+  state.divider     = { ...DEFAULT_DIVIDER, ...data.divider };
+  state.alignment   = { ...DEFAULT_ALIGNMENT, ...data.alignment };
+  state.harmonise   = { ...DEFAULT_HARMONISE, ...data.harmonise };
+  state.exportMeta  = { ...DEFAULT_EXPORT_META, ...data.exportMeta };
+
+  mergeFormats(data.outputFormats ?? []);
+
+  renderUploadZones(count);
+  updateComposeButton();
+  renderDividerControls();
+  renderAlignControls();
+
+  if (data.composited && state.images.every(Boolean) && data.adjustments?.length) {
+    state.targetFocalY  = data.targetFocalY ?? 0.5;
+    state.imageEls      = await loadImageEls(count);
+    state.outputFormats = dedupeSuffixes(data.outputFormats.map((f) => ({ ...normaliseFormat(f), splitRatios: f.splitRatios ?? [] })));
+    state.adjustments   = data.adjustments.map((fmtAdjs) =>
+      Array.from({ length: count }, (_, i) => ({ ...DEFAULT_ADJUSTMENT, ...fmtAdjs[i] }))
+    );
+    showComposite();
   }
-  // If all slots filled, overwrite the last one
-  if (targetIndex === -1) targetIndex = count - 1;
+  await fallBackUnsupportedTypes();
+}
+
+function liftPhotoAdjustments(adjustments) {
+  return adjustments?.[0]?.map((adj) => Object.fromEntries(
+    Object.keys(DEFAULT_PHOTO_ADJUSTMENT).filter((key) => adj?.[key] != null).map((key) => [key, adj[key]])
+  ));
+}
+
+function dataURLToBlob(dataURL) {
+  const [header, base64] = dataURL.split(",");
+  const type  = header.match(/^data:([^;]+)/)?.[1] ?? "application/octet-stream";
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type });
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Small JPEG of the first composite for the recent list
+function makeSessionThumbnail() {
+  const source = state.composited ? state.canvasEls[0] : null;
+  if (!source) return null;
+  const c = document.createElement("canvas");
+  c.width  = 160;
+  c.height = Math.round((160 * source.height) / source.width);
+  c.getContext("2d").drawImage(source, 0, 0, c.width, c.height);
+  return c.toDataURL("image/jpeg", 0.7);
+}
+
+function scheduleAutosave() {
+  // Batch rows pass through the editor while they're composed or exported;
+  // they're kept in the batch, not as sessions
+  if (restoringSession || state.batch?.busy) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveSession, AUTOSAVE_DELAY_MS);
+}
+
+// Save straight away if an autosave is waiting
+function flushAutosave() {
+  if (autosaveTimer) saveSession();
+}
 
-  const file = imageItem.getAsFile();
-  if (file) loadImageFile(file, targetIndex);
+// The record is captured synchronously, so callers may change state (or
+// switch sessions) as soon as this returns
+function saveSession() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  if (!state.selectedLayout || !state.images.some(Boolean)) return Promise.resolve();
+
+  if (!state.sessionId) state.sessionId = `session-${Date.now().toString(36)}`;
+  const record = {
+    ...captureSession(),
+    id: state.sessionId,
+    name: state.selectedLayout.name,
+    updatedAt: Date.now(),
+    thumbnail: makeSessionThumbnail(),
+  };
+  return withSessionStore("readwrite", (store) => store.put(record))
+    .then(pruneSessions)
+    .then(renderRecentSessions)
+    .catch((e) => console.warn("Could not autosave session:", e));
+}
+
+async function pruneSessions() {
+  const stale = (await listSessions()).slice(MAX_SESSIONS);
+  await Promise.all(stale.map((s) => withSessionStore("readwrite", (store) => store.delete(s.id))));
+}
+
+async function openSession(id) {
+  const session = await withSessionStore("readonly", (store) => store.get(id));
+  if (!session) return;
+  // Keep any unsaved work on the current session before switching
+  leaveBatchRow();
+  flushAutosave();
+  restoreBanner.hidden = true;
+  state.sessionId = session.id;
+  try {
+    await restoreSession(session);
+  } catch (e) {
+    console.warn("Could not restore session:", e);
+  }
+  renderRecentSessions();
+}
+
+async function removeSession(id) {
+  await withSessionStore("readwrite", (store) => store.delete(id));
+  if (state.sessionId === id) state.sessionId = null;
+  renderRecentSessions();
+}
+
+async function renderRecentSessions() {
+  let sessions = [];
+  try {
+    sessions = await listSessions();
+  } catch {
+    // No IndexedDB — the list simply stays hidden
+  }
+  recentSessionsEl.hidden = !sessions.length;
+  recentListEl.innerHTML = "";
+  sessions.forEach((session) => {
+    const item = document.createElement("div");
+    item.className = "recent-item";
+    item.classList.toggle("current", session.id === state.sessionId);
+
+    const thumb = document.createElement("div");
+    thumb.className = "recent-thumb";
+    if (session.thumbnail) thumb.style.backgroundImage = `url(${session.thumbnail})`;
+
+    const info = document.createElement("div");
+    info.className = "recent-info";
+    const photos = session.images.filter(Boolean).length;
+    info.append(
+      Object.assign(document.createElement("span"), { className: "recent-name", textContent: session.name }),
+      Object.assign(document.createElement("span"), {
+        className: "recent-meta",
+        textContent: `${photos} photo${photos === 1 ? "" : "s"} · ${new Date(session.updatedAt).toLocaleString()}`,
+      }),
+    );
+
+    const openBtn = Object.assign(document.createElement("button"), {
+      className: "secondary recent-open", textContent: "Open",
+    });
+    openBtn.addEventListener("click", () => openSession(session.id));
+
+    const deleteBtn = Object.assign(document.createElement("button"), {
+      className: "secondary recent-delete", textContent: "✕", title: "Delete",
+    });
+    deleteBtn.addEventListener("click", () => removeSession(session.id));
+
+    item.append(thumb, info, openBtn, deleteBtn);
+    recentListEl.appendChild(item);
+  });
+}
+
+// Offer the most recent session on load rather than restoring it silently
+async function offerLastSession() {
+  let last;
+  try {
+    [last] = await listSessions();
+  } catch {
+    return;
+  }
+  if (!last) return;
+  restoreBannerText.textContent =
+    `Pick up where you left off? ${last.name}, last edited ${new Date(last.updatedAt).toLocaleString()}.`;
+  restoreBanner.hidden = false;
+  btnRestore.onclick = () => openSession(last.id);
+  btnRestoreDismiss.onclick = () => { restoreBanner.hidden = true; };
+}
+
+// ── Notices ───────────────────────────────────────────────────────────────────
+
+let pendingNotice = null;
+
+// Problems with a file the user picked are shown above the steps until dismissed
+function showNotice(text) {
+  settleNotice(false);
+  noticeText.textContent = text;
+  btnNoticeAction.hidden = true;
+  noticeBanner.hidden = false;
+}
+
+// The page's own confirm(): a notice with a button to go ahead. Resolves true
+// when that's pressed, false when the notice is dismissed or replaced.
+function confirmNotice(text, actionLabel) {
+  showNotice(text);
+  btnNoticeAction.textContent = actionLabel;
+  btnNoticeAction.hidden = false;
+  noticeBanner.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  return new Promise((resolve) => { pendingNotice = resolve; });
+}
+
+function settleNotice(confirmed) {
+  pendingNotice?.(confirmed);
+  pendingNotice = null;
+}
+
+// ── Project files ───────────────────────────────────────────────────────────
+
+// A project file is one JSON document holding the source images (as data
+// URLs) and everything needed to rebuild the composite, so it can be handed
+// to another editor. Bump PROJECT_VERSION when the saved shape changes and
+// add a step to PROJECT_MIGRATIONS that upgrades the previous version.
+const PROJECT_APP     = "photo-compositor";
+const PROJECT_VERSION = 2;
+const PROJECT_MIGRATIONS = {
+  // [fromVersion]: (project) => upgraded project at fromVersion + 1
+  // v2 keeps tone and flips per photo instead of on every format's panels
+  1: (project) => ({ ...project, photoAdjustments: liftPhotoAdjustments(project.adjustments) ?? [] }),
+};
+
+async function saveProject() {
+  if (!state.selectedLayout) return;
+  const session = captureSession();
+  const project = {
+    app: PROJECT_APP,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...session,
+    images: await Promise.all(session.images.map(async (image, i) => image && {
+      name: image.name,
+      type: image.type,
+      dataURL: await blobToDataURL(state.images[i].blob),
+      qualityWarning: image.qualityWarning,
+      meta: image.meta,
+    })),
+  };
+  const blob = new Blob([JSON.stringify(project)], { type: "application/json" });
+  const url  = URL.createObjectURL(blob);
+  const link = Object.assign(document.createElement("a"), {
+    download: `composite-${slugify(state.selectedLayout.name)}.compositor.json`,
+    href: url,
+  });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function openProject(file) {
+  try {
+    const project = upgradeProject(JSON.parse(await file.text()));
+    leaveBatchRow();
+    flushAutosave();
+    restoreBanner.hidden = true;
+    // An opened project becomes a new session of its own
+    state.sessionId = null;
+    await restoreSession(project);
+    scheduleAutosave();
+  } catch (e) {
+    console.warn("Could not open project:", e);
+    showNotice(`Could not open "${file.name}": ${e.message}`);
+  }
+}
+
+function upgradeProject(project) {
+  if (project?.app !== PROJECT_APP || !Number.isInteger(project.version)) {
+    throw new Error("not a Photo Compositor project file");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error("it was saved by a newer version of the compositor");
+  }
+  let upgraded = project;
+  for (let v = project.version; v < PROJECT_VERSION; v++) {
+    upgraded = { ...PROJECT_MIGRATIONS[v](upgraded), version: v + 1 };
+  }
+  return upgraded;
+}
+
+// ── Export metadata ───────────────────────────────────────────────────────────
+
+// Credits joined in panel order, as the credit reminder shows them. Exports
+// leave out photos without a credit rather than embedding the placeholder.
+function getCreditLine(placeholders = true) {
+  const n = state.selectedLayout?.photoCount ?? 0;
+  return Array.from({ length: n }, (_, i) => state.credits[i] || (placeholders ? `Photo ${i + 1} Credit` : ""))
+    .filter(Boolean)
+    .join("; ");
+}
+
+// Caption and copyright default to the photos' own (distinct) values until
+// the user edits them
+function getExportMeta() {
+  const n = state.selectedLayout?.photoCount ?? 0;
+  const fromPhotos = (key) => [...new Set(
+    Array.from({ length: n }, (_, i) => state.images[i]?.meta?.[key]).filter(Boolean)
+  )].join("; ");
+  return {
+    credit:    getCreditLine(false),
+    caption:   state.exportMeta.caption   ?? fromPhotos("caption"),
+    copyright: state.exportMeta.copyright ?? fromPhotos("copyright"),
+    creators:  [...new Set(state.images.map((image) => image?.meta?.photographer).filter(Boolean))],
+    altText:   state.exportMeta.altText,
+    note:      `Composite of ${n} image${n === 1 ? "" : "s"}`,
+  };
+}
+
+// Base of every download's file name: "<slug>-<format suffix>.<ext>" and
+// "<slug>.zip"
+function getExportSlug() {
+  return slugify(state.exportMeta.slug ?? "") || `composite-${slugify(state.selectedLayout?.name ?? "")}`;
+}
+
+function renderExportMeta() {
+  const n = state.selectedLayout?.photoCount ?? 0;
+  creditPattern.textContent = getCreditLine();
+
+  creditFieldsEl.innerHTML = "";
+  for (let i = 0; i < n; i++) {
+    const field = Object.assign(document.createElement("input"), {
+      type: "text", value: state.credits[i] ?? "", placeholder: "Photographer/Agency",
+    });
+    field.addEventListener("change", () => {
+      beginEdit();
+      state.credits[i] = field.value.trim();
+      creditPattern.textContent = getCreditLine();
+      commitEdit();
+    });
+    const rowEl = Object.assign(document.createElement("label"), {
+      className: "adj-row meta-row", textContent: `Photo ${i + 1}`,
+    });
+    rowEl.appendChild(field);
+    creditFieldsEl.appendChild(rowEl);
+  }
+
+  const { caption, copyright, altText } = getExportMeta();
+  metaCaption.value   = caption;
+  metaCopyright.value = copyright;
+  metaAltText.value   = altText;
+  exportSlugInput.value = getExportSlug();
+}
+
+function setExportMeta(changes) {
+  beginEdit();
+  state.exportMeta = { ...state.exportMeta, ...changes };
+  commitEdit();
+}
+
+const XML_ENTITIES = { "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" };
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => XML_ENTITIES[c]);
+}
+
+// A marker segment's 2-byte length counts itself, so this is the most a
+// payload can hold
+const JPEG_SEGMENT_MAX_PAYLOAD = 0xffff - 2;
+const XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/\0";
+
+// Cut text to at most maxBytes of UTF-8 without splitting a character
+function truncateUtf8(text, maxBytes) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length <= maxBytes) return text;
+  let end = maxBytes;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return new TextDecoder().decode(bytes.subarray(0, end));
+}
+
+// JPEG marker segment: FF xx, 2-byte length (which counts itself), payload
+function jpegSegment(marker, payload) {
+  if (payload.length > JPEG_SEGMENT_MAX_PAYLOAD) throw new RangeError("JPEG segment payload is too long");
+  const bytes = new Uint8Array(4 + payload.length);
+  bytes.set([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+  bytes.set(payload, 4);
+  return bytes;
+}
+
+// IPTC-IIM records inside a Photoshop APP13 block. Record 1:90 declares
+// UTF-8 so readers don't fall back to Latin-1. Each field is cut to the
+// byte limit the IIM spec gives it.
+function buildIptcSegment({ credit, caption, copyright, creators, note }) {
+  const encoder = new TextEncoder();
+  const field = (text, maxBytes) => encoder.encode(truncateUtf8(text, maxBytes));
+  const datasets = [
+    [1, 90,  new Uint8Array([0x1b, 0x25, 0x47])],
+    [2, 0,   new Uint8Array([0, 4])],
+    ...creators.map((name) => [2, 80, field(name, 32)]),
+    [2, 110, field(credit, 32)],
+    [2, 116, field(copyright, 128)],
+    [2, 120, field(caption, 2000)],
+    [2, 40,  field(note, 256)],
+  ].filter(([, , value]) => value.length);
+
+  const iim = [];
+  datasets.forEach(([record, tag, value]) => {
+    iim.push(0x1c, record, tag, value.length >> 8, value.length & 0xff, ...value);
+  });
+  if (iim.length % 2) iim.push(0);
+
+  const size = iim.length;
+  const payload = [
+    ...encoder.encode("Photoshop 3.0\0"),
+    ...encoder.encode("8BIM"), 0x04, 0x04, 0, 0,
+    size >>> 24, (size >> 16) & 0xff, (size >> 8) & 0xff, size & 0xff,
+    ...iim,
+  ];
+  return jpegSegment(0xed, new Uint8Array(payload));
+}
+
+// XMP has no field limits of its own, but the packet has to fit in one
+// segment — very long text is cut, halving the allowance until it does
+function buildXmpSegment(meta) {
+  const encoder = new TextEncoder();
+  const limit = JPEG_SEGMENT_MAX_PAYLOAD - XMP_NAMESPACE.length;
+  let packet = encoder.encode(buildXmpPacket(meta));
+  for (let maxBytes = 16384; packet.length > limit; maxBytes >>= 1) {
+    const cut = (text) => truncateUtf8(text, maxBytes);
+    packet = encoder.encode(buildXmpPacket({
+      credit: cut(meta.credit), caption: cut(meta.caption), copyright: cut(meta.copyright),
+      creators: meta.creators.map(cut), altText: cut(meta.altText), note: cut(meta.note),
+    }));
+  }
+  return jpegSegment(0xe1, new Uint8Array([...encoder.encode(XMP_NAMESPACE), ...packet]));
+}
+
+function buildXmpPacket({ credit, caption, copyright, creators, altText, note }) {
+  const alt = (text) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+  const props = [
+    creators.length && `<dc:creator><rdf:Seq>${creators.map((c) => `<rdf:li>${escapeXml(c)}</rdf:li>`).join("")}</rdf:Seq></dc:creator>`,
+    caption   && `<dc:description>${alt(caption)}</dc:description>`,
+    copyright && `<dc:rights>${alt(copyright)}</dc:rights>`,
+    credit    && `<photoshop:Credit>${escapeXml(credit)}</photoshop:Credit>`,
+    altText   && `<Iptc4xmpCore:AltTextAccessibility>${alt(altText)}</Iptc4xmpCore:AltTextAccessibility>`,
+    `<photoshop:Instructions>${escapeXml(note)}</photoshop:Instructions>`,
+  ].filter(Boolean).join("");
+  return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"` +
+    ` xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/">` +
+    props +
+    `</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>`;
+}
+
+// Splice XMP and IPTC segments into an encoded JPEG, after SOI and any JFIF
+// APP0 header
+async function embedJpegMetadata(blob, meta) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let at = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+  return new Blob(
+    [bytes.subarray(0, at), buildXmpSegment(meta), buildIptcSegment(meta), bytes.subarray(at)],
+    { type: "image/jpeg" },
+  );
+}
+
+// ── Export encoding ───────────────────────────────────────────────────────────
+
+// Encodes per canvas, dropped whenever the canvas is redrawn: full-resolution
+// exports for downloads, and encodes of the proxy-drawn preview, which are
+// close enough for the size estimate without redrawing from the originals
+const exportCache   = new WeakMap();
+const estimateCache = new WeakMap();
+const ESTIMATE_DELAY_MS = 600;
+let estimateTimers = [];
+let supportedExportTypes = null;
+
+function getExportType(fmt) {
+  return EXPORT_TYPES.find((t) => t.type === fmt.exportType) ?? EXPORT_TYPES[0];
+}
+
+function getExportFileName(fmt) {
+  return `${getExportSlug()}-${fmt.suffix}.${getExportType(fmt).ext}`;
+}
+
+// Exports redraw every panel from its full-resolution original, without the
+// preview's thirds grid
+function renderExportCanvas(fi) {
+  const fmt    = state.outputFormats[fi];
+  const canvas = makeCanvas(fmt.width, fmt.height);
+  drawComposite(canvas.getContext("2d"), fi, fmt, (i) => state.imageEls[i]);
+  return canvas;
+}
+
+// The preview already is the composite at full size, unless grid lines are
+// drawn over it — then it's drawn again from the proxies without them
+function renderEstimateCanvas(fi) {
+  if (!state.showGrid) return state.canvasEls[fi];
+  const fmt    = state.outputFormats[fi];
+  const canvas = makeCanvas(fmt.width, fmt.height);
+  drawComposite(canvas.getContext("2d"), fi, fmt, getPreviewSource);
+  return canvas;
+}
+
+// What gets encoded: a snapshot bitmap of the canvas when the worker can take
+// it, else the canvas itself
+async function getEncodeSource(canvas) {
+  if (!getRenderWorker()) return canvas;
+  try { return await createImageBitmap(canvas); } catch { return canvas; }
+}
+
+// Encodes in the worker when it has a bitmap, falling back to the canvas
+// here. The bitmap is copied to the worker, so one snapshot serves every
+// encode of a quality search.
+function encodeCanvas(source, type, quality) {
+  if (source instanceof HTMLCanvasElement) {
+    return new Promise((resolve, reject) => source.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("the browser couldn't encode the image"));
+    }, type, quality));
+  }
+  return runInWorker("encode", { frame: source, type, quality }).catch(() => {
+    const canvas = makeCanvas(source.width, source.height);
+    canvas.getContext("2d").drawImage(source, 0, 0);
+    return encodeCanvas(canvas, type, quality);
+  });
+}
+
+// Canvas quietly encodes unknown types as PNG — probe each type once, the way
+// exports will be encoded
+function getSupportedExportTypes() {
+  if (!supportedExportTypes) {
+    supportedExportTypes = getEncodeSource(makeCanvas(1, 1)).then((probe) => Promise.all(
+      EXPORT_TYPES.map(({ type }) => encodeCanvas(probe, type).then((blob) => blob.type === type ? type : null, () => null))
+    )).then((types) => new Set(types.filter(Boolean)));
+  }
+  return supportedExportTypes;
+}
+
+// Formats saved on a browser that encodes WebP or AVIF would download PNG
+// bytes under that name here, so they're switched to JPEG
+async function fallBackUnsupportedTypes() {
+  const supported = await getSupportedExportTypes();
+  const saved  = state.formats.filter((f) => !supported.has(f.exportType));
+  const output = state.outputFormats.filter((f) => !supported.has(f.exportType));
+  if (!saved.length && !output.length) return;
+  const labels = [...new Set([...saved, ...output].map((f) => f.label))];
+  [...saved, ...output].forEach((f) => { f.exportType = DEFAULT_EXPORT.exportType; });
+  saveFormats();
+  if (state.composited && output.length) {
+    buildCanvasEntries();
+    renderAllCanvases();
+    scheduleAutosave();
+  }
+  showNotice(`This browser can't save the image type chosen for ${labels.join(", ")} — switched to JPEG`);
+}
+
+// Only JPEG exports carry the credit metadata (IPTC and XMP segments)
+async function encodeExport(source, type, quality) {
+  const blob = await encodeCanvas(source, type, quality);
+  return type === "image/jpeg" ? embedJpegMetadata(blob, getExportMeta()) : blob;
+}
+
+// Encode one format with its export settings. With a size budget, lossy
+// types binary-search for the highest quality (up to the chosen one) that
+// fits; if nothing fits, the smallest encode is returned marked overBudget.
+function renderExportBlob(fi) {
+  return encodeFormat(exportCache, fi, renderExportCanvas);
+}
+
+function estimateExportBlob(fi) {
+  return encodeFormat(estimateCache, fi, renderEstimateCanvas);
+}
+
+function encodeFormat(cache, fi, draw) {
+  const fmt    = state.outputFormats[fi];
+  const canvas = state.canvasEls[fi];
+  const key    = JSON.stringify([fmt.exportType, fmt.quality, fmt.maxKB, getExportMeta()]);
+  const cached = cache.get(canvas);
+  if (cached?.key === key) return cached.promise;
+
+  const promise = (async () => {
+    const source = await getEncodeSource(draw(fi));
+    try {
+      return await encodeWithinBudget(fmt, source);
+    } finally {
+      source.close?.();
+    }
+  })();
+  cache.set(canvas, { key, promise });
+  // A failed encode isn't kept, so the next try starts afresh
+  promise.catch(() => {
+    if (cache.get(canvas)?.promise === promise) cache.delete(canvas);
+  });
+  return promise;
+}
+
+async function encodeWithinBudget(fmt, source) {
+  const { type, lossy } = getExportType(fmt);
+  const budget = fmt.maxKB ? fmt.maxKB * 1024 : Infinity;
+  const first  = await encodeExport(source, type, fmt.quality);
+  if (first.size <= budget) return { blob: first, quality: fmt.quality, overBudget: false };
+  if (!lossy) return { blob: first, quality: null, overBudget: true };
+
+  let lo = MIN_EXPORT_QUALITY, hi = fmt.quality, best = null;
+  const smallest = await encodeExport(source, type, lo);
+  if (smallest.size > budget) return { blob: smallest, quality: lo, overBudget: true };
+  best = { blob: smallest, quality: lo, overBudget: false };
+  // Quality steps finer than ~1% make no visible difference
+  while (hi - lo > 0.01) {
+    const mid  = (lo + hi) / 2;
+    const blob = await encodeExport(source, type, mid);
+    if (blob.size <= budget) { best = { blob, quality: mid, overBudget: false }; lo = mid; }
+    else hi = mid;
+  }
+  return best;
+}
+
+function scheduleSizeEstimate(fi) {
+  clearTimeout(estimateTimers[fi]);
+  estimateTimers[fi] = setTimeout(() => updateSizeEstimate(fi), ESTIMATE_DELAY_MS);
+}
+
+async function updateSizeEstimate(fi) {
+  const canvas = state.canvasEls[fi];
+  const el = canvas?.closest(".canvas-entry")?.querySelector(".export-estimate");
+  // The "before" view isn't what gets exported
+  if (!el || state.showOriginal) return;
+  el.textContent = "Estimating…";
+  let estimate;
+  try {
+    estimate = await estimateExportBlob(fi);
+  } catch (e) {
+    console.warn("Could not estimate export size:", e);
+    if (state.canvasEls[fi] === canvas) el.textContent = "";
+    return;
+  }
+  if (state.canvasEls[fi] !== canvas) return;
+  const { blob, quality, overBudget } = estimate;
+  const fmt = state.outputFormats[fi];
+  const q = quality !== null && getExportType(fmt).lossy && quality < fmt.quality
+    ? ` at ${Math.round(quality * 100)}%` : "";
+  el.textContent = `≈ ${formatBytes(blob.size)}${q} (estimate)`;
+  el.classList.toggle("over-budget", overBudget);
+  el.title = [
+    overBudget && `Can't get under ${fmt.maxKB} KB with this format.`,
+    "Estimated from the preview; the download is drawn from the full-size photos and can come out larger.",
+  ].filter(Boolean).join(" ");
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Export settings are saved on the format, so they carry over to the next
+// composite and appear in the format manager's saved list
+function updateExportSettings(fi, changes) {
+  const fmt = state.outputFormats[fi];
+  Object.assign(fmt, normaliseFormat({ ...fmt, ...changes }), { splitRatios: fmt.splitRatios });
+  const saved = state.formats.findIndex((f) => f.id === fmt.id);
+  if (saved >= 0) {
+    state.formats[saved] = normaliseFormat({ ...state.formats[saved], ...changes });
+    saveFormats();
+  }
+  scheduleAutosave();
+  updateSizeEstimate(fi);
+}
+
+function buildExportSettings(fi) {
+  const fmt = state.outputFormats[fi];
+  const row = Object.assign(document.createElement("div"), { className: "export-settings" });
+
+  const typeSelect = document.createElement("select");
+  EXPORT_TYPES.forEach(({ type, label }) => typeSelect.appendChild(new Option(label, type, false, type === fmt.exportType)));
+  getSupportedExportTypes().then((supported) => {
+    Array.from(typeSelect.options).forEach((opt) => {
+      opt.disabled = !supported.has(opt.value);
+      if (opt.disabled) opt.textContent += " (not supported)";
+    });
+  });
+
+  const qualityLabel = Object.assign(document.createElement("label"), { className: "adj-row", textContent: "Quality" });
+  const quality = Object.assign(document.createElement("input"), {
+    type: "range", min: "10", max: "100", step: "1", value: String(Math.round(fmt.quality * 100)),
+  });
+  const qualityValue = Object.assign(document.createElement("span"), {
+    className: "adj-value", textContent: `${Math.round(fmt.quality * 100)}%`,
+  });
+  qualityLabel.append(quality, qualityValue);
+
+  const maxLabel = Object.assign(document.createElement("label"), { className: "adj-row", textContent: "Max size" });
+  const maxKB = Object.assign(document.createElement("input"), {
+    type: "number", min: "10", step: "10", placeholder: "none", value: fmt.maxKB ?? "",
+  });
+  maxLabel.append(maxKB, document.createTextNode("KB"));
+
+  const syncLossy = () => {
+    quality.disabled = !getExportType(state.outputFormats[fi]).lossy;
+  };
+  syncLossy();
+
+  typeSelect.addEventListener("change", () => { updateExportSettings(fi, { exportType: typeSelect.value }); syncLossy(); });
+  quality.addEventListener("input", () => { qualityValue.textContent = `${quality.value}%`; });
+  quality.addEventListener("change", () => updateExportSettings(fi, { quality: Number(quality.value) / 100 }));
+  maxKB.addEventListener("change", () => updateExportSettings(fi, { maxKB: maxKB.value || null }));
+
+  row.append(typeSelect, qualityLabel, maxLabel);
+  return row;
+}
+
+// ── Effective resolution ──────────────────────────────────────────────────────
+
+function loadMinExportResolution() {
+  try {
+    const saved = Number(localStorage.getItem(MIN_EXPORT_RESOLUTION_STORAGE_KEY));
+    if (saved > 0 && saved <= 1) return saved;
+  } catch {
+    // Unavailable storage — use the default
+  }
+  return DEFAULT_MIN_EXPORT_RESOLUTION;
+}
+
+function setMinExportResolution(value) {
+  state.minExportResolution = value;
+  try {
+    localStorage.setItem(MIN_EXPORT_RESOLUTION_STORAGE_KEY, String(value));
+  } catch (e) {
+    console.warn("Could not save resolution threshold:", e);
+  }
+  state.outputFormats.forEach((fmt, fi) => updateResolutionBadges(fi));
+}
+
+// Source pixels per output pixel for one panel as it's rendered now
+function getPanelResolution(fi, index) {
+  const img  = state.imageEls[index];
+  const slot = getFormatSlots(state.outputFormats[fi])[index];
+  const { drawW } = getPanelPlacement(img, slot.w, slot.h, index, state.adjustments[fi][index]);
+  return img.width / drawW;
+}
+
+function describeUpscale(resolution) {
+  return `${(1 / resolution).toFixed(1)}× upscaled`;
+}
+
+// Badge each overlay panel whose photo is enlarged past RESOLUTION_WARN;
+// ones past the export threshold are marked severe
+function updateResolutionBadges(fi) {
+  const panels = state.canvasEls[fi]?.closest(".canvas-entry")?.querySelectorAll(".canvas-overlay-panel") ?? [];
+  panels.forEach((panel, i) => {
+    if (!state.imageEls[i]) return;
+    const resolution = getPanelResolution(fi, i);
+    let badge = panel.querySelector(".canvas-res-badge");
+    if (!badge) {
+      badge = Object.assign(document.createElement("span"), { className: "canvas-res-badge" });
+      panel.appendChild(badge);
+    }
+    badge.hidden = resolution >= RESOLUTION_WARN;
+    badge.textContent = `⚠ ${describeUpscale(resolution)}`;
+    badge.classList.toggle("severe", resolution < state.minExportResolution);
+  });
+}
+
+// Panels in the given formats below the export threshold, as readable lines
+function getLowResolutionPanels(formatIndices) {
+  return formatIndices.flatMap((fi) =>
+    state.adjustments[fi].map((_, i) => ({ fi, i, resolution: getPanelResolution(fi, i) }))
+      .filter(({ resolution }) => resolution < state.minExportResolution)
+      .map(({ fi, i, resolution }) => `Photo ${i + 1} in ${state.outputFormats[fi].label}: ${describeUpscale(resolution)}`)
+  );
+}
+
+async function confirmResolution(formatIndices) {
+  const low = getLowResolutionPanels(formatIndices);
+  return !low.length || confirmNotice(
+    `These panels are enlarged past the ${Math.round(state.minExportResolution * 100)}% detail limit ` +
+    `and may look soft or pixelated: ${low.join("; ")}.`,
+    "Download anyway",
+  );
+}
+
+// ── Download ──────────────────────────────────────────────────────────────────
+
+// The before/after toggle is a preview aid — exports are always harmonised
+function showHarmonised() {
+  if (!state.showOriginal) return;
+  setShowOriginal(false);
+  renderAllCanvases();
+}
+
+async function downloadOne(fi) {
+  if (!await confirmResolution([fi])) return;
+  showHarmonised();
+  const fmt = state.outputFormats[fi];
+  try {
+    const { blob } = await renderExportBlob(fi);
+    saveBlob(blob, getExportFileName(fmt));
+  } catch (e) {
+    console.warn(`Could not export ${fmt.label}:`, e);
+    showNotice(`Could not export ${fmt.label}: ${e.message}`);
+  }
+}
+
+// Every format plus a manifest in one ZIP, so browsers see a single download
+async function downloadAll() {
+  if (!await confirmResolution(state.outputFormats.map((_, fi) => fi))) return;
+  showHarmonised();
+  btnDownload.disabled = true;
+  try {
+    const exports = await Promise.all(state.outputFormats.map((fmt, fi) => renderExportBlob(fi)));
+    const files = await Promise.all(exports.map(async ({ blob }, fi) => ({
+      name: getExportFileName(state.outputFormats[fi]),
+      data: new Uint8Array(await blob.arrayBuffer()),
+    })));
+    const manifest = buildManifest(exports);
+    const encoder  = new TextEncoder();
+    files.push(
+      { name: "manifest.json", data: encoder.encode(JSON.stringify(manifest, null, 2)) },
+      { name: "manifest.txt",  data: encoder.encode(formatManifestText(manifest)) },
+    );
+    saveBlob(buildZip(files), `${getExportSlug()}.zip`);
+  } catch (e) {
+    console.warn("Could not export the composite:", e);
+    showNotice(`Could not export the composite: ${e.message}`);
+  } finally {
+    btnDownload.disabled = false;
+  }
+}
+
+function saveBlob(blob, filename) {
+  const url  = URL.createObjectURL(blob);
+  const link = Object.assign(document.createElement("a"), { download: filename, href: url });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function buildManifest(exports) {
+  const meta  = getExportMeta();
+  const count = state.selectedLayout.photoCount;
+  return {
+    createdAt: new Date().toISOString(),
+    layout:    state.selectedLayout.name,
+    credit:    meta.credit,
+    caption:   meta.caption,
+    copyright: meta.copyright,
+    altText:   meta.altText,
+    sources: Array.from({ length: count }, (_, i) => ({
+      panel:  i + 1,
+      file:   state.images[i]?.file.name ?? null,
+      credit: state.credits[i] || null,
+    })),
+    files: state.outputFormats.map((fmt, fi) => ({
+      file:    getExportFileName(fmt),
+      format:  fmt.label,
+      width:   fmt.width,
+      height:  fmt.height,
+      type:    getExportType(fmt).type,
+      bytes:   exports[fi].blob.size,
+      quality: getExportType(fmt).lossy ? Math.round(exports[fi].quality * 100) / 100 : null,
+    })),
+  };
+}
+
+function formatManifestText(manifest) {
+  return [
+    `${manifest.layout} — exported ${manifest.createdAt}`,
+    "",
+    `Credit: ${manifest.credit || "—"}`,
+    `Caption: ${manifest.caption || "—"}`,
+    `Copyright: ${manifest.copyright || "—"}`,
+    `Alt text: ${manifest.altText || "—"}`,
+    "",
+    "Sources:",
+    ...manifest.sources.map((s) => `  Photo ${s.panel}: ${s.file ?? "—"}${s.credit ? ` (${s.credit})` : ""}`),
+    "",
+    "Files:",
+    ...manifest.files.map((f) => `  ${f.file} — ${f.width} × ${f.height} px, ${formatBytes(f.bytes)}`),
+    "",
+  ].join("\n");
+}
+
+// ── ZIP ───────────────────────────────────────────────────────────────────────
+
+// Minimal ZIP writer. Entries are stored uncompressed — the images are already
+// compressed, and manifests are tiny.
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [], central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    // Shared fields of the local header and the central directory entry:
+    // version needed, flags (bit 11 = UTF-8 names), method 0 (stored), time,
+    // date, CRC-32, sizes, name length, extra length
+    const common = new DataView(new ArrayBuffer(26));
+    common.setUint16(0, 20, true);
+    common.setUint16(2, 0x0800, true);
+    common.setUint16(4, 0, true);
+    common.setUint16(6, dosTime, true);
+    common.setUint16(8, dosDate, true);
+    common.setUint32(10, crc, true);
+    common.setUint32(14, data.length, true);
+    common.setUint32(18, data.length, true);
+    common.setUint16(22, nameBytes.length, true);
+    common.setUint16(24, 0, true);
+    const commonBytes = new Uint8Array(common.buffer);
+
+    const local = new DataView(new ArrayBuffer(4));
+    local.setUint32(0, 0x04034b50, true);
+    parts.push(new Uint8Array(local.buffer), commonBytes, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    new Uint8Array(entry.buffer).set(commonBytes, 6);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 4 + commonBytes.length + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
+
+// ── Batch ─────────────────────────────────────────────────────────────────────
+
+// A batch is a folder of photos plus a manifest (CSV or JSON) with one row per
+// composite: its layout, photo files and credits, and optionally a name,
+// caption, alt text and copyright. Each row goes through the editor itself —
+// the same face detection and auto-alignment as Generate — and the result is
+// kept as the row's edits plus references to its photo files, so any row can
+// be rebuilt for tweaks before everything is exported as one ZIP. Rows never
+// hold decoded photos; they're read again from the folder when needed.
+
+async function startBatch(files) {
+  const manifest = findBatchManifest(files);
+  if (!manifest) {
+    showNotice("That folder has no manifest. Add a manifest.csv or manifest.json listing a row per composite.");
+    return;
+  }
+  let specs;
+  try {
+    specs = parseBatchManifest(await manifest.text(), manifest.name);
+  } catch (e) {
+    console.warn("Could not read batch manifest:", e);
+    showNotice(`Could not read "${manifest.name}": ${e.message}`);
+    return;
+  }
+  if (state.batch && !await confirmNotice(
+    "Replace the current batch? Composites that haven't been downloaded will be lost.", "Replace batch",
+  )) return;
+  // Another batch may have started while the question was up
+  if (state.batch?.busy) return;
+
+  // Anything waiting to autosave belongs to the work being left behind
+  flushAutosave();
+  state.batch = {
+    name: manifest.webkitRelativePath.split("/")[0] || "batch",
+    rows: specs.map((spec) => ({
+      spec, photos: null, edits: null, sessionId: null, thumbnail: null, error: null, checks: [], lowDetail: [],
+    })),
+    open: null,
+    busy: true,
+  };
+  renderBatch();
+  try {
+    for (const [k, row] of state.batch.rows.entries()) {
+      setBatchStatus(`Composing ${k + 1} of ${state.batch.rows.length}…`);
+      await composeBatchRow(row, files);
+      renderBatch();
+    }
+  } finally {
+    state.batch.busy = false;
+  }
+  // The editor is left on the last composed row
+  const last = state.batch.rows.findLastIndex((row) => row.edits);
+  if (last >= 0) state.batch.open = last;
+  setBatchStatus(describeBatch());
+  renderBatch();
+}
+
+// manifest.csv or manifest.json first, else the first CSV or JSON file
+function findBatchManifest(files) {
+  const isManifest = (file) => /^manifest\.(csv|json)$/i.test(file.name);
+  return files.find(isManifest) ?? files.find((file) => /\.(csv|json)$/i.test(file.name)) ?? null;
+}
+
+function parseBatchManifest(text, fileName) {
+  const records = /\.json$/i.test(fileName) ? readJsonManifest(text) : readCsvManifest(text);
+  const specs = records.map(normaliseBatchRow).filter((spec) => spec.photos.length);
+  if (!specs.length) throw new Error("it doesn't list any photos");
+  return specs;
+}
+
+// An array of rows, or { rows: [...] }
+function readJsonManifest(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data?.rows;
+  if (!Array.isArray(rows)) throw new Error("expected a list of rows");
+  return rows;
+}
+
+// The first line names the columns. Quoted fields may hold commas, line
+// breaks and doubled quotes.
+function readCsvManifest(text) {
+  const table = [[]];
+  let field = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let k = 0; k < src.length; k++) {
+    const c = src[k];
+    if (quoted) {
+      if (c === '"' && src[k + 1] === '"') { field += '"'; k++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      table.at(-1).push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[k + 1] === "\n") k++;
+      table.at(-1).push(field);
+      field = "";
+      table.push([]);
+    } else {
+      field += c;
+    }
+  }
+  table.at(-1).push(field);
+  const [header, ...lines] = table.filter((cells) => cells.some((cell) => cell.trim()));
+  if (!header) throw new Error("it's empty");
+  return lines.map((cells) => Object.fromEntries(header.map((key, c) => [key, cells[c] ?? ""])));
+}
+
+// Column names are matched loosely — "Photo 1", "photo_1" and "photo1" are
+// the same column. Photos and credits may also come as one "photos" /
+// "credits" field: an array in JSON, or separated by ";" or "|" in CSV.
+function normaliseBatchRow(record, n) {
+  const fields = Object.fromEntries(
+    Object.entries(record ?? {}).map(([key, value]) => [key.toLowerCase().replace(/[^a-z0-9]/g, ""), value])
+  );
+  const text = (value) => String(value ?? "").trim();
+  const list = (name) => {
+    const all = fields[`${name}s`];
+    if (Array.isArray(all)) return all.map(text);
+    if (text(all)) return text(all).split(/[;|]/).map(text);
+    const numbered = [];
+    Object.entries(fields).forEach(([key, value]) => {
+      const m = key.match(new RegExp(`^${name}(\\d+)$`));
+      if (m && Number(m[1]) > 0) numbered[Number(m[1]) - 1] = text(value);
+    });
+    return Array.from(numbered, (value) => value ?? "");
+  };
+  return {
+    name:      text(fields.name) || `composite-${n + 1}`,
+    layout:    text(fields.layout),
+    photos:    list("photo").filter(Boolean),
+    credits:   list("credit"),
+    caption:   text(fields.caption) || null,
+    altText:   text(fields.alttext ?? fields.alt),
+    copyright: text(fields.copyright) || null,
+  };
+}
+
+// By id or name ("2-way", "2-Way Split"); left blank, the first layout with a
+// panel per photo
+function findBatchLayout(name, count) {
+  if (!name) return LAYOUTS.find((layout) => layout.photoCount === count) ?? null;
+  const key = slugify(name);
+  return LAYOUTS.find((layout) => layout.id === key || slugify(layout.name) === key) ?? null;
+}
+
+// By path inside the chosen folder, else by file name alone
+function findBatchFile(files, name) {
+  const path   = name.replace(/\\/g, "/").replace(/^\.?\//, "").toLowerCase();
+  const inside = (file) => file.webkitRelativePath.split("/").slice(1).join("/").toLowerCase();
+  return files.find((file) => inside(file) === path)
+    ?? files.find((file) => file.name.toLowerCase() === path.split("/").pop())
+    ?? null;
+}
+
+async function composeBatchRow(row, files) {
+  const { spec } = row;
+  const layout = findBatchLayout(spec.layout, spec.photos.length);
+  const photos = spec.photos.map((name) => findBatchFile(files, name));
+  const missing = spec.photos.filter((_, i) => !photos[i]);
+  if (!layout) {
+    row.error = spec.layout ? `Unknown layout "${spec.layout}"` : `No layout takes ${spec.photos.length} photos`;
+  } else if (layout.photoCount !== photos.length) {
+    row.error = `${layout.name} takes ${layout.photoCount} photos; this row lists ${photos.length}`;
+  } else if (missing.length) {
+    row.error = `Not in the folder: ${missing.join(", ")}`;
+  }
+  if (row.error) return;
+
+  try {
+    resetAll();
+    selectLayout(layout);
+    for (const [i, file] of photos.entries()) {
+      if (!await loadImageFile(file, i)) throw new Error(`${file.name} is not a readable image`);
+    }
+    // Manifest credits win over the ones read from the photos
+    spec.credits.slice(0, layout.photoCount).forEach((credit, i) => { if (credit) state.credits[i] = credit; });
+    state.exportMeta = {
+      ...DEFAULT_EXPORT_META,
+      slug: slugify(spec.name) || null, caption: spec.caption, altText: spec.altText, copyright: spec.copyright,
+    };
+    if (!await compose()) throw new Error("a photo couldn't be drawn");
+    keepBatchRow(row);
+  } catch (e) {
+    console.warn(`Could not compose batch row "${spec.name}":`, e);
+    row.error = `Could not compose: ${e.message}`;
+  }
+}
+
+// Take the editor's composite as the row's result, noting what's worth a look.
+// Photos are kept as their File (and what was read from it), everything else
+// as the session fields.
+function keepBatchRow(row) {
+  const { images, ...edits } = captureSession();
+  row.photos    = images.map((image, i) => image && {
+    file: state.images[i].file, qualityWarning: image.qualityWarning, meta: image.meta,
+  });
+  row.edits     = edits;
+  row.sessionId = state.sessionId;
+  row.thumbnail = makeSessionThumbnail();
+  row.checks = [
+    ...state.images.map((image, i) => image?.qualityWarning && `Photo ${i + 1}: ${image.qualityWarning}`),
+    ...state.focalPoints.map((focal, i) => !isAnchored(focal) && `Photo ${i + 1}: no face found`),
+    ...state.images.map((_, i) => findDuplicates(i))
+      .map((twins, i) => twins.length && `Photo ${i + 1}: same picture as photo ${twins.join(", ")}`),
+  ].filter(Boolean);
+  row.lowDetail = getLowResolutionPanels(state.outputFormats.map((_, fi) => fi));
+}
+
+// A row's edits and photo files as a session restoreSession can rebuild
+function getBatchRowSession(row) {
+  return {
+    ...row.edits,
+    images: row.photos.map((photo) => photo && {
+      name: photo.file.name, type: photo.file.type, blob: photo.file, qualityWarning: photo.qualityWarning, meta: photo.meta,
+    }),
+  };
+}
+
+// Edits to the row open in the editor are kept when another row is opened or
+// the batch is downloaded
+function keepOpenBatchRow() {
+  const row = state.batch?.rows[state.batch.open];
+  if (row && state.composited) keepBatchRow(row);
+}
+
+// The editor is moving on to other work (Reset, a session or a project); the
+// open row keeps its edits so far
+function leaveBatchRow() {
+  if (!state.batch || state.batch.busy || state.batch.open === null) return;
+  keepOpenBatchRow();
+  state.batch.open = null;
+  renderBatch();
+}
+
+async function openBatchRow(index) {
+  const batch = state.batch;
+  const row   = batch?.rows[index];
+  if (!row?.edits || batch.busy) return;
+  keepOpenBatchRow();
+  flushAutosave();
+  // Opened rows autosave like any other composite, one session per row
+  state.sessionId = row.sessionId;
+  try {
+    await restoreSession(getBatchRowSession(row));
+    batch.open = index;
+  } catch (e) {
+    console.warn("Could not open batch row:", e);
+    showNotice(`Could not open "${row.spec.name}": ${e.message}`);
+    // Whatever got restored isn't the row, so it mustn't be kept as one
+    batch.open = null;
+    state.sessionId = null;
+  }
+  renderBatch();
+}
+
+// Every composed row in one ZIP — a folder per row, plus a manifest covering
+// them all
+async function downloadBatch() {
+  const batch = state.batch;
+  if (!batch || batch.busy) return;
+  keepOpenBatchRow();
+  const rows = batch.rows.filter((row) => row.edits);
+  if (!rows.length) return;
+  const low = rows.filter((row) => row.lowDetail.length);
+  if (low.length) {
+    if (!await confirmNotice(
+      `These composites have panels enlarged past the ${Math.round(state.minExportResolution * 100)}% detail limit ` +
+      `and may look soft or pixelated: ${low.map((row) => `${row.spec.name} — ${row.lowDetail.join("; ")}`).join(" · ")}.`,
+      "Download anyway",
+    )) return;
+    // The batch may have been closed, or the open row edited, while the question was up
+    if (state.batch !== batch || batch.busy) return;
+    keepOpenBatchRow();
+  }
+
+  flushAutosave();
+  batch.busy = true;
+  renderBatch();
+  const files = [], manifests = [], folders = new Set(), failed = [];
+  // The row the editor fully holds; null while one is being restored
+  let loaded = null;
+  for (const [k, row] of rows.entries()) {
+    setBatchStatus(`Exporting ${k + 1} of ${rows.length}…`);
+    try {
+      loaded = null;
+      await restoreSession(getBatchRowSession(row));
+      loaded = row;
+      const exports = await Promise.all(state.outputFormats.map((fmt, fi) => renderExportBlob(fi)));
+      let folder = getExportSlug();
+      for (let n = 2; folders.has(folder); n++) folder = `${getExportSlug()}-${n}`;
+      files.push(...await Promise.all(exports.map(async ({ blob }, fi) => ({
+        name: `${folder}/${getExportFileName(state.outputFormats[fi])}`,
+        data: new Uint8Array(await blob.arrayBuffer()),
+      }))));
+      folders.add(folder);
+      manifests.push({ folder, ...buildManifest(exports) });
+    } catch (e) {
+      console.warn(`Could not export batch row "${row.spec.name}":`, e);
+      failed.push(row.spec.name);
+    }
+  }
+  if (manifests.length) {
+    const encoder = new TextEncoder();
+    files.push(
+      { name: "manifest.json", data: encoder.encode(JSON.stringify(manifests, null, 2)) },
+      { name: "manifest.txt",  data: encoder.encode(manifests.map((m) => `${m.folder}/\n${formatManifestText(m)}`).join("\n")) },
+    );
+    saveBlob(buildZip(files), `${slugify(batch.name) || "batch"}.zip`);
+  }
+
+  // Exporting walked the editor through the rows; it's left on the last one
+  // it holds in full. A restore that failed part-way leaves nothing to keep.
+  if (!loaded) resetAll();
+  batch.busy = false;
+  batch.open = loaded ? batch.rows.indexOf(loaded) : null;
+  state.sessionId = loaded?.sessionId ?? null;
+  setBatchStatus(describeBatch() + (failed.length ? ` · couldn't export ${failed.join(", ")}` : ""));
+  renderBatch();
+}
+
+async function closeBatch() {
+  const batch = state.batch;
+  if (!batch || batch.busy) return;
+  if (!await confirmNotice("Close this batch? Composites that haven't been downloaded will be lost.", "Close batch")) return;
+  if (state.batch !== batch || batch.busy) return;
+  state.batch = null;
+  renderBatch();
+}
+
+function describeBatch() {
+  const { rows } = state.batch;
+  const failed = rows.filter((row) => row.error).length;
+  return `${rows.length - failed} of ${rows.length} composed` +
+    (failed ? ` · ${failed} need${failed === 1 ? "s" : ""} fixing in the manifest` : "");
+}
+
+function setBatchStatus(text) {
+  batchStatusEl.textContent = text;
+}
+
+function renderBatch() {
+  const batch = state.batch;
+  batchReviewEl.hidden = !batch;
+  batchGridEl.innerHTML = "";
+  if (!batch) return;
+  btnBatchDownload.disabled = batch.busy || !batch.rows.some((row) => row.edits);
+  btnBatchClose.disabled = batch.busy;
+
+  batch.rows.forEach((row, k) => {
+    const item = Object.assign(document.createElement("div"), { className: "batch-item" });
+    item.classList.toggle("current", k === batch.open);
+    const thumb = Object.assign(document.createElement("div"), { className: "recent-thumb" });
+    if (row.thumbnail) thumb.style.backgroundImage = `url(${row.thumbnail})`;
+
+    const info = Object.assign(document.createElement("div"), { className: "recent-info" });
+    const layout = LAYOUTS.find((l) => l.id === row.edits?.layoutId);
+    info.append(
+      Object.assign(document.createElement("span"), { className: "recent-name", textContent: row.spec.name }),
+      Object.assign(document.createElement("span"), {
+        className: "recent-meta",
+        textContent: [layout?.name, row.spec.photos.join(", ")].filter(Boolean).join(" · "),
+      }),
+    );
+
+    const issues = [...row.checks, ...row.lowDetail];
+    const check = Object.assign(document.createElement("span"), { className: "batch-check" });
+    if (row.error) {
+      check.classList.add("failed");
+      check.textContent = `⚠ ${row.error}`;
+    } else if (!row.edits) {
+      check.textContent = "Waiting…";
+    } else if (issues.length) {
+      check.classList.add("warn");
+      check.textContent = `⚠ ${issues.length} thing${issues.length === 1 ? "" : "s"} to check`;
+      check.title = issues.join("\n");
+    } else {
+      check.classList.add("ready");
+      check.textContent = "✓ Ready";
+    }
+
+    const openBtn = Object.assign(document.createElement("button"), {
+      className: "secondary recent-open",
+      textContent: k === batch.open ? "Editing" : "Open",
+      disabled: batch.busy || !row.edits || k === batch.open,
+    });
+    openBtn.addEventListener("click", () => openBatchRow(k));
+
+    const footer = Object.assign(document.createElement("div"), { className: "batch-item-footer" });
+    footer.append(check, openBtn);
+    item.append(thumb, info, footer);
+    batchGridEl.appendChild(item);
+  });
+}
+
+// ── Reset ─────────────────────────────────────────────────────────────────────
+
+function resetPreview(clearComposited = true) {
+  if (clearComposited) {
+    state.composited  = false;
+    state.imageEls    = [];
+    state.adjustments = [];
+    state.outputFormats = [];
+    state.canvasEls   = [];
+    canvasArea.querySelectorAll(".canvas-entry").forEach((el) => el.remove());
+    clearHistory();
+  }
+  canvasPlaceholder.classList.remove("hidden");
+  canvasLoading.hidden = true;
+  btnDownload.disabled = true;
+  btnDownload.hidden = true;
+  creditReminder.hidden = true;
+  dividerControls.hidden = true;
+  toneControls.hidden = true;
+  alignControls.hidden = true;
+  state.showGrid = false;
+  setShowOriginal(false);
+}
+
+function resetAll() {
+  leaveBatchRow();
+  // The discarded work stays in the recent list — the next edit starts a new session
+  flushAutosave();
+  state.sessionId      = null;
+  state.selectedLayout = null;
+  state.images         = [];
+  state.focalPoints    = [];
+  state.credits        = [];
+  state.photoAdjustments = [];
+  state.harmonise      = { ...DEFAULT_HARMONISE };
+  state.exportMeta     = { ...DEFAULT_EXPORT_META };
+  clearAlternates();
+  document.querySelectorAll(".preset-card").forEach((c) => c.classList.remove("selected"));
+  uploadHint.textContent = "Select a split first";
+  uploadZonesEl.innerHTML = "";
+  resetPreview();
+  updateComposeButton();
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+
+btnCompose.addEventListener("click", compose);
+btnNoticeDismiss.addEventListener("click", () => { noticeBanner.hidden = true; settleNotice(false); });
+btnNoticeAction.addEventListener("click", () => { noticeBanner.hidden = true; settleNotice(true); });
+btnDownload.addEventListener("click", downloadAll);
+btnReset.addEventListener("click", resetAll);
+btnSaveProject.addEventListener("click", saveProject);
+btnOpenProject.addEventListener("click", () => projectInput.click());
+projectInput.addEventListener("change", () => {
+  if (projectInput.files[0]) openProject(projectInput.files[0]);
+  projectInput.value = "";
+});
+btnOpenBatch.addEventListener("click", () => batchInput.click());
+batchInput.addEventListener("change", () => {
+  const files = Array.from(batchInput.files);
+  batchInput.value = "";
+  if (files.length) startBatch(files);
+});
+btnBatchDownload.addEventListener("click", downloadBatch);
+btnBatchClose.addEventListener("click", closeBatch);
+dividerWidth.addEventListener("input",   () => setDivider({ width: Number(dividerWidth.value) }));
+dividerColor.addEventListener("input",   () => setDivider({ color: dividerColor.value }));
+dividerAngle.addEventListener("input",   () => setDivider({ angle: Number(dividerAngle.value) }));
+dividerFeather.addEventListener("input", () => setDivider({ feather: Number(dividerFeather.value) }));
+[dividerWidth, dividerColor, dividerAngle, dividerFeather].forEach((el) => el.addEventListener("change", commitEdit));
+alignStrategy.addEventListener("change", () => { setAlignment({ strategy: alignStrategy.value }); commitEdit(); });
+alignEqualise.addEventListener("change", () => { setAlignment({ equaliseSize: alignEqualise.checked }); commitEdit(); });
+alignLockLine.addEventListener("change", () => { setAlignment({ lockLine: alignLockLine.checked }); commitEdit(); });
+alignLine.addEventListener("input", () => setAlignment({ line: Number(alignLine.value) / 100 }));
+alignLine.addEventListener("change", commitEdit);
+toneReference.addEventListener("change", () => {
+  beginEdit();
+  state.harmonise = { ...state.harmonise, reference: Number(toneReference.value) };
+  renderToneControls();
+  renderAllCanvases();
+  commitEdit();
+});
+btnToneCompare.addEventListener("click", () => {
+  setShowOriginal(!state.showOriginal);
+  renderAllCanvases();
+});
+metaCaption.addEventListener("change",   () => setExportMeta({ caption: metaCaption.value.trim() }));
+metaCopyright.addEventListener("change", () => setExportMeta({ copyright: metaCopyright.value.trim() }));
+metaAltText.addEventListener("change",   () => setExportMeta({ altText: metaAltText.value.trim() }));
+minResolutionInput.value = String(Math.round(state.minExportResolution * 100));
+minResolutionInput.addEventListener("change", () => {
+  const percent = Math.round(Number(minResolutionInput.value));
+  if (percent >= 10 && percent <= 100) setMinExportResolution(percent / 100);
+  minResolutionInput.value = String(Math.round(state.minExportResolution * 100));
+});
+exportSlugInput.addEventListener("change", () => {
+  setExportMeta({ slug: slugify(exportSlugInput.value) || null });
+  exportSlugInput.value = getExportSlug();
+});
+btnShortcuts.addEventListener("click", () => toggleShortcutSheet(true));
+btnShortcutsClose.addEventListener("click", () => toggleShortcutSheet(false));
+shortcutSheet.addEventListener("click", (e) => { if (e.target === shortcutSheet) toggleShortcutSheet(false); });
+btnUndo.addEventListener("click", undo);
+// Don't lose the last second of work when the tab is closed or hidden
+window.addEventListener("pagehide", flushAutosave);
+document.addEventListener("visibilitychange", () => { if (document.hidden) flushAutosave(); });
+btnRedo.addEventListener("click", redo);
+
+// Ctrl/⌘+Z undo, Shift+Ctrl/⌘+Z (or Ctrl+Y) redo, ? for the shortcut sheet.
+// Text fields keep their own native undo.
+document.addEventListener("keydown", (e) => {
+  if (e.target.matches?.("input[type=text], input[type=number], textarea, select")) return;
+  if (e.key === "Escape" && !shortcutSheet.hidden) { e.preventDefault(); toggleShortcutSheet(false); return; }
+  if (e.key === "?" && !e.ctrlKey && !e.metaKey) { e.preventDefault(); toggleShortcutSheet(); return; }
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey)                    { e.preventDefault(); undo(); }
+  else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+});
+
+// Clipboard paste — fills the empty slots in order; once they're full,
+// pasted photos become alternates rather than overwriting one
+document.addEventListener("paste", (e) => {
+  if (!state.selectedLayout) return;
+  const files = Array.from(e.clipboardData?.items ?? [])
+    .filter((item) => item.type.startsWith("image/"))
+    .map((item) => item.getAsFile())
+    .filter(Boolean);
+  intakeFiles(files);
 });
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
 initFaceApi();
 renderPresets();
+renderFormatManager();
+fallBackUnsupportedTypes();
+renderShortcutSheet();
 updateComposeButton();
+renderRecentSessions();
+offerLastSession();
@@ -0,0 +1,219 @@
+// Pixel analysis shared by the page (app.js) and the render worker
+// (render-worker.js). Nothing here touches the DOM: every function draws its
+// source — an image, canvas or ImageBitmap — through `makeCanvas(w, h)`, which
+// returns a canvas or an OffscreenCanvas depending on where it runs.
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+// Previews and analysis work from a copy no larger than this on its longest
+// side; full-size originals are only drawn for export
+const PROXY_MAX_PX = 2048;
+
+// Sharpness is measured on a SHARPNESS_SIZE px square copy
+const SHARPNESS_SIZE = 150;
+
+// Subject detection for photos without a face: saliency is computed on a copy
+// SALIENCY_SIZE px on its longest side, and the focal point is taken from the
+// top SALIENCY_TOP_FRACTION of pixels
+const SALIENCY_SIZE = 96;
+const SALIENCY_TOP_FRACTION = 0.08;
+const SALIENCY_CENTRE_BIAS = 0.5;
+
+// ── Proxies ───────────────────────────────────────────────────────────────────
+
+function getProxySize(width, height, max = PROXY_MAX_PX) {
+  const fit = Math.min(1, max / Math.max(width, height));
+  return {
+    width:  Math.max(1, Math.round(width  * fit)),
+    height: Math.max(1, Math.round(height * fit)),
+  };
+}
+
+function readPixels(source, w, h, makeCanvas) {
+  const ctx = makeCanvas(w, h).getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, w, h);
+  return ctx.getImageData(0, 0, w, h).data;
+}
+
+// Everything the upload step wants to know about a photo, read from its proxy
+function analysePixels(source, makeCanvas) {
+  return {
+    sharpness: measureSharpness(source, makeCanvas),
+    hash:      hashImage(source, makeCanvas),
+    subject:   detectSubject(source, makeCanvas),
+  };
+}
+
+// ── Image quality checks ──────────────────────────────────────────────────────
+
+// Laplacian variance — measures how much edge/detail is present.
+// Sharp photos score high; blurry or heavily compressed ones score low.
+function measureSharpness(source, makeCanvas) {
+  const SIZE = SHARPNESS_SIZE;
+  const data = readPixels(source, SIZE, SIZE, makeCanvas);
+
+  // Convert to grayscale
+  const gray = new Float32Array(SIZE * SIZE);
+  for (let i = 0; i < SIZE * SIZE; i++) {
+    const j = i * 4;
+    gray[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+  }
+
+  // Laplacian variance
+  let sum = 0, sumSq = 0, n = 0;
+  for (let y = 1; y < SIZE - 1; y++) {
+    for (let x = 1; x < SIZE - 1; x++) {
+      const i = y * SIZE + x;
+      const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - SIZE] - gray[i + SIZE];
+      sum += lap; sumSq += lap * lap; n++;
+    }
+  }
+  return sumSq / n - (sum / n) ** 2;
+}
+
+// Difference hash: a 9×8 greyscale thumbnail, one bit per pair of horizontal
+// neighbours (is the left one brighter?). Near-identical pictures give hashes
+// a few bits apart. Returns 16 hex digits.
+function hashImage(source, makeCanvas) {
+  const data = readPixels(source, 9, 8, makeCanvas);
+  const grey = (x, y) => {
+    const j = (y * 9 + x) * 4;
+    return 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+  };
+  let hex = "";
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) byte = (byte << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+// ── Subject detection ─────────────────────────────────────────────────────────
+
+// Offline fallback for photos without a face (products, buildings, crowds).
+// Returns { x, y, confidence } in normalised (0–1) coordinates.
+function detectSubject(source, makeCanvas) {
+  // Keep the aspect ratio so the point maps straight back to the photo
+  const fit = SALIENCY_SIZE / Math.max(source.width, source.height);
+  const w = Math.max(8, Math.round(source.width  * fit));
+  const h = Math.max(8, Math.round(source.height * fit));
+  return findSalientPoint(readPixels(source, w, h, makeCanvas), w, h);
+}
+
+// Saliency from three cues, each normalised to 0–1 and blended:
+//   edge energy   — Sobel gradient magnitude of luminance
+//   contrast      — difference from the local mean luminance
+//   distinctness  — colour distance from the image's mean colour (Lab)
+// A mild centre bias breaks ties the way photographers frame. The focal point
+// is the saliency-weighted centroid of the most salient pixels; confidence is
+// high when they stand out from the rest and sit close together.
+function findSalientPoint(data, w, h) {
+  const n = w * h;
+  const lum = new Float32Array(n);
+  const lab = new Float32Array(n * 3);
+  const mean = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    const [L, A, B] = rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    lum[i] = L;
+    lab[i * 3] = L; lab[i * 3 + 1] = A; lab[i * 3 + 2] = B;
+    mean[0] += L / n; mean[1] += A / n; mean[2] += B / n;
+  }
+
+  const edge = new Float32Array(n);
+  const contrast = new Float32Array(n);
+  const distinct = new Float32Array(n);
+  const localMean = boxBlur(lum, w, h, Math.max(2, Math.round(Math.min(w, h) / 8)));
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const at = (dx, dy) => lum[Math.min(h - 1, Math.max(0, y + dy)) * w + Math.min(w - 1, Math.max(0, x + dx))];
+      const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+      const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+      edge[i] = Math.hypot(gx, gy);
+      contrast[i] = Math.abs(lum[i] - localMean[i]);
+      distinct[i] = Math.hypot(lab[i * 3] - mean[0], lab[i * 3 + 1] - mean[1], lab[i * 3 + 2] - mean[2]);
+    }
+  }
+
+  // Edges and contrast are smoothed into regions so a subject's outline
+  // counts towards its middle, not just its rim. Each cue is scaled by its
+  // maximum, but never by less than a just-visible difference (in Lab units),
+  // so near-flat photos don't have their noise blown up into a subject.
+  const radius = Math.max(1, Math.round(Math.min(w, h) / 20));
+  const cues = [
+    [boxBlur(edge, w, h, radius),     0.25, 8],
+    [boxBlur(contrast, w, h, radius), 0.25, 2],
+    [distinct,                        0.5,  5],
+  ];
+  const saliency = new Float32Array(n);
+  cues.forEach(([map, weight, floor]) => {
+    const max = map.reduce((a, v) => Math.max(a, v), floor);
+    for (let i = 0; i < n; i++) saliency[i] += (weight * map[i]) / max;
+  });
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const d2 = ((x + 0.5) / w - 0.5) ** 2 + ((y + 0.5) / h - 0.5) ** 2;
+      saliency[y * w + x] *= 1 - SALIENCY_CENTRE_BIAS * 2 * d2;
+    }
+  }
+
+  // The top slice of pixels by saliency
+  const sorted = Float32Array.from(saliency).sort();
+  const threshold = sorted[Math.floor(n * (1 - SALIENCY_TOP_FRACTION))];
+  const overall = sorted.reduce((a, v) => a + v, 0) / n;
+  let sum = 0, cx = 0, cy = 0;
+  for (let i = 0; i < n; i++) {
+    if (saliency[i] < threshold) continue;
+    sum += saliency[i];
+    cx += saliency[i] * ((i % w) + 0.5) / w;
+    cy += saliency[i] * (Math.floor(i / w) + 0.5) / h;
+  }
+  if (!(sum > 0)) return { x: 0.5, y: 0.5, confidence: 0 };
+  cx /= sum; cy /= sum;
+
+  let spread = 0, count = 0;
+  for (let i = 0; i < n; i++) {
+    if (saliency[i] < threshold) continue;
+    spread += ((i % w) / w - cx) ** 2 + (Math.floor(i / w) / h - cy) ** 2;
+    count++;
+  }
+  spread = Math.sqrt(spread / count);
+
+  const top = sum / count;
+  const standout    = Math.min(1, (top - overall) / 0.5);   // 0 when flat, → 1 when one region dominates
+  const compactness = Math.max(0, 1 - spread / 0.35);        // 0.35 ≈ spread of a uniform scatter
+  return { x: cx, y: cy, confidence: Math.max(0, Math.min(1, standout * compactness)) };
+}
+
+// Separable box blur with edge clamping
+function boxBlur(src, w, h, r) {
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += src[y * w + Math.min(w - 1, Math.max(0, x + k))];
+      tmp[y * w + x] = acc / (2 * r + 1);
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += tmp[Math.min(h - 1, Math.max(0, y + k)) * w + x];
+      out[y * w + x] = acc / (2 * r + 1);
+    }
+  }
+  return out;
+}
+
+// sRGB (0–255) → CIE Lab, D65 white
+function rgbToLab(r, g, b) {
+  const lin = (c) => { c /= 255; return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; };
+  const R = lin(r), G = lin(g), B = lin(b);
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+  const fx = f((0.4124 * R + 0.3576 * G + 0.1805 * B) / 0.95047);
+  const fy = f( 0.2126 * R + 0.7152 * G + 0.0722 * B);
+  const fz = f((0.0193 * R + 0.1192 * G + 0.9505 * B) / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
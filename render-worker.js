@@ -0,0 +1,43 @@
+// Heavy image work for app.js, off the main thread: decoding originals into
+// preview proxies, analysing them, and encoding exports. Each message is
+// { id, job, ...args } and is answered with { id, result } or { id, error }.
+
+importScripts("image-analysis.js");
+
+const makeCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+self.addEventListener("message", async ({ data }) => {
+  const { id, job } = data;
+  try {
+    if (job === "analyse") {
+      const result = await analyse(data.blob);
+      self.postMessage({ id, result }, [result.proxy]);
+    } else if (job === "encode") {
+      self.postMessage({ id, result: await encode(data.frame, data.type, data.quality) });
+    } else {
+      throw new Error(`Unknown job "${job}"`);
+    }
+  } catch (e) {
+    self.postMessage({ id, error: e?.message ?? String(e) });
+  }
+});
+
+// Decode the upright original once, keep only a downscaled proxy of it, and
+// measure the proxy. The original's size is reported for the resolution check.
+async function analyse(blob) {
+  const original = await createImageBitmap(blob, { imageOrientation: "from-image" });
+  const { width, height } = original;
+  const size  = getProxySize(width, height);
+  const proxy = size.width < width
+    ? await createImageBitmap(original, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: "high" })
+    : original;
+  if (proxy !== original) original.close();
+  return { width, height, proxy, ...analysePixels(proxy, makeCanvas) };
+}
+
+function encode(frame, type, quality) {
+  const canvas = makeCanvas(frame.width, frame.height);
+  canvas.getContext("2d").drawImage(frame, 0, 0);
+  frame.close();
+  return canvas.convertToBlob({ type, quality });
+}